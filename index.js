@@ -9,10 +9,12 @@ import {
   getTimeout,
   getErrorMessage,
   checkRateLimit,
+  getRateLimitCooldown,
   circuitBreakers
 } from './src/config/auth.js'
 import { useUserStateStore } from './src/stores/userState.js'
-import { setupAuthInterceptor, setAuthRouter } from './src/auth/interceptor.js'
+import { setupAuthInterceptor, createAuthInterceptor, setAuthRouter } from './src/auth/interceptor.js'
+import { createAuthCallbackRoute, processAuthCallback, resolveRedirectTarget } from './src/auth/callback.js'
 import {
   registerAuthProvider,
   getAuthProvider,
@@ -21,9 +23,24 @@ import {
   callAuthProviderMethod,
   getAllProviderMetadata
 } from './src/auth/authProviders.js'
+import { createBackendSession } from './src/auth/backendSession.js'
 import googleAuthProvider from './src/auth/providers/google/provider.js'
 import supabaseAuthProvider from './src/auth/providers/supabase/provider.js'
 import localAuthProvider from './src/auth/providers/local/provider.js'
+import { getLocalPublicKeyJwk } from './src/auth/providers/local/signing.js'
+import guestAuthProvider from './src/auth/providers/guest/provider.js'
+import oidcAuthProvider from './src/auth/providers/oidc/provider.js'
+import passkeyAuthProvider from './src/auth/providers/passkey/provider.js'
+import passwordAuthProvider from './src/auth/providers/password/provider.js'
+import magicLinkAuthProvider from './src/auth/providers/magicLink/provider.js'
+import ssoAuthProvider from './src/auth/providers/sso/provider.js'
+import phoneAuthProvider from './src/auth/providers/phone/provider.js'
+import apiKeyAuthProvider from './src/auth/providers/apiKey/provider.js'
+import mockAuthProvider from './src/auth/providers/mock/provider.js'
+import {
+  registerAnonymousMigrator,
+  unregisterAnonymousMigrator
+} from './src/linking/anonymousUpgrade.js'
 import {
   createLinkingSessionSnapshot,
   restoreLinkingSessionSnapshot
@@ -36,6 +53,8 @@ import PlainDrawerUserSection from './src/components/plain/DrawerUserSection.vue
 import PlainUserMenu from './src/components/plain/UserMenu.vue'
 import PlainSignInPrompt from './src/components/plain/SignInPrompt.vue'
 import PlainErrorBoundary from './src/components/plain/ErrorBoundary.vue'
+import PlainPasswordAuthForm from './src/components/plain/PasswordAuthForm.vue'
+import PlainAuthCallback from './src/components/plain/AuthCallback.vue'
 
 import VuetifyLoginElement from './src/components/vue/LoginElement.vue'
 import VuetifyAccountLinking from './src/components/vue/AccountLinking.vue'
@@ -44,6 +63,12 @@ import VuetifyDrawerUserSection from './src/components/vue/DrawerUserSection.vue
 import VuetifyUserMenu from './src/components/vue/UserMenu.vue'
 import VuetifySignInPrompt from './src/components/vue/SignInPrompt.vue'
 import VuetifyErrorBoundary from './src/components/vue/ErrorBoundary.vue'
+import VuetifyPasswordAuthForm from './src/components/vue/PasswordAuthForm.vue'
+import VuetifyAuthCallback from './src/components/vue/AuthCallback.vue'
+
+// Provider widgets use plain CSS and are shared by both flavours
+import SupabaseMfaEnrollment from './src/auth/providers/supabase/SupabaseMfaEnrollment.vue'
+import SupabasePasswordRecovery from './src/auth/providers/supabase/SupabasePasswordRecovery.vue'
 
 const components = Object.freeze({
   plain: Object.freeze({
@@ -53,7 +78,11 @@ const components = Object.freeze({
     DrawerUserSection: PlainDrawerUserSection,
     UserMenu: PlainUserMenu,
     SignInPrompt: PlainSignInPrompt,
-    ErrorBoundary: PlainErrorBoundary
+    ErrorBoundary: PlainErrorBoundary,
+    PasswordAuthForm: PlainPasswordAuthForm,
+    AuthCallback: PlainAuthCallback,
+    SupabaseMfaEnrollment,
+    SupabasePasswordRecovery
   }),
   vuetify: Object.freeze({
     LoginElement: VuetifyLoginElement,
@@ -62,7 +91,11 @@ const components = Object.freeze({
     DrawerUserSection: VuetifyDrawerUserSection,
     UserMenu: VuetifyUserMenu,
     SignInPrompt: VuetifySignInPrompt,
-    ErrorBoundary: VuetifyErrorBoundary
+    ErrorBoundary: VuetifyErrorBoundary,
+    PasswordAuthForm: VuetifyPasswordAuthForm,
+    AuthCallback: VuetifyAuthCallback,
+    SupabaseMfaEnrollment,
+    SupabasePasswordRecovery
   })
 })
 
@@ -73,21 +106,40 @@ const providers = Object.freeze({
   list: getAllProviderNames,
   call: callAuthProviderMethod,
   metadata: getAllProviderMetadata,
+  createBackendSession,
   google: googleAuthProvider,
   supabase: supabaseAuthProvider,
-  local: localAuthProvider
+  local: localAuthProvider,
+  guest: guestAuthProvider,
+  oidc: oidcAuthProvider,
+  passkey: passkeyAuthProvider,
+  password: passwordAuthProvider,
+  magicLink: magicLinkAuthProvider,
+  sso: ssoAuthProvider,
+  phone: phoneAuthProvider,
+  apiKey: apiKeyAuthProvider,
+  mock: mockAuthProvider
 })
 
 const linking = Object.freeze({
   createSnapshot: createLinkingSessionSnapshot,
-  restoreSnapshot: restoreLinkingSessionSnapshot
+  restoreSnapshot: restoreLinkingSessionSnapshot,
+  registerAnonymousMigrator,
+  unregisterAnonymousMigrator
 })
 
 const interceptor = Object.freeze({
   setup: setupAuthInterceptor,
+  create: createAuthInterceptor,
   setRouter: setAuthRouter
 })
 
+const routes = Object.freeze({
+  createAuthCallbackRoute,
+  processAuthCallback,
+  resolveRedirectTarget
+})
+
 const stores = Object.freeze({
   useUserStateStore
 })
@@ -101,6 +153,8 @@ const auth = Object.freeze({
   getTimeout,
   getErrorMessage,
   checkRateLimit,
+  getRateLimitCooldown,
+  getLocalPublicKey: getLocalPublicKeyJwk,
   circuitBreakers
 })
 
@@ -113,6 +167,7 @@ const AuthClient = Object.freeze({
   interceptor,
   providers,
   linking,
+  routes,
   components
 })
 
@@ -12,10 +12,30 @@
  *     raw: object (optional) - Original session for provider-specific needs
  *   }
  * - getStoredSession(): Get stored session from provider storage
- * - signOut(): Sign out and clear session
+ * - signOut({ revoke }): Sign out and clear session; `revoke` also revokes the grant or
+ *   refresh token where the provider supports it
  * - handleTokenExpiry(userStore, originalRequest): Handle token refresh
+ * - getProfile(session): Serve the /api/auth/me payload locally, no network (optional)
+ * - getPublicKey(): Public JWK that verifies the provider's own guest tokens; apps register it
+ *   with their backend when the guest starts (optional)
+ * - discardSession(): Forget the stored session locally without contacting a backend (optional)
+ * - forgetDevice(): Drop everything remembered about the user on this device, e.g. One Tap
+ *   state, even when another provider is signed in (optional)
+ * - clearUserData(): Drop per-user caches such as granted API scopes on every sign-out,
+ *   whichever provider was signed in (optional)
  * - startAnonymousSession(): Start anonymous session (optional)
  * - convertAnonymousAccount(email, password, metadata): Convert anonymous to permanent (optional)
+ * - getAuthenticatorAssuranceLevel(): { currentLevel, nextLevel } for MFA step-up checks (optional)
+ * - isRedirectCallback(url) / handleRedirectCallback(url): Recognise and finish a redirect flow
+ *   on the callback route; resolves to { session, mode, redirect } (optional)
+ * - completeRedirectLink(session): Attach the identity from a 'link' redirect to the current user (optional)
+ * - promptAutomaticSignIn(userStore): Offer a passive sign-in prompt (e.g. Google One Tap) when
+ *   initialize() finds no session; signs the user in itself if they accept (optional)
+ * - getProviderAccessToken(scopes, options): API access token covering `scopes` (optional)
+ * - getGrantedScopes() / revokeGrantedScopes(): [{ scope, label }] granted to this app, and
+ *   revoking them (optional)
+ * - subscribeToAuthEvents(handler): Report SDK-driven changes as handler(event, rawSession) with
+ *   TOKEN_REFRESHED, USER_UPDATED or SIGNED_OUT; returns an unsubscribe function (optional)
  */
 const authProviders = {}
 
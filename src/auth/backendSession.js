@@ -0,0 +1,294 @@
+import axios from 'axios'
+import { storeToRefs } from 'pinia'
+import { readStoredJson, writeStoredJson, removeStoredItem, getFlowStorage } from '../storage/index.js'
+import { authConfig, getRateLimitCooldown } from '../config/auth.js'
+
+/**
+ * Session engine for providers whose tokens are issued by our own backend.
+ *
+ * The backend keeps the refresh token in an httpOnly cookie and mirrors a CSRF
+ * token in the readable `refresh_csrf` cookie. The client only caches a small
+ * meta record ({ provider_id, user }) and trades the cookie for a new access
+ * token on startup, on 401s and before expiry. A provider declares its
+ * endpoints and spreads the generated methods into its provider object:
+ *
+ *   const backendSession = createBackendSession({
+ *     name: 'password',
+ *     label: 'Password Provider',
+ *     endpoints: { refresh: '/api/auth/password/refresh', logout: '/api/auth/password/logout' },
+ *     isEnabled: isPasswordEnabled
+ *   })
+ *
+ *   const passwordAuthProvider = { ...backendSession.methods, async signIn() { ... } }
+ *
+ * Options:
+ * - endpoints: { refresh, logout, revoke }; signOut({ revoke: true }) posts to
+ *   `revoke` when the backend has one, otherwise to `logout`
+ * - buildSession(data, previous): Turn a backend token response into a session;
+ *   `previous` is the cached meta or the current session (may be async)
+ * - toMeta(session): The record cached by cacheSessionMeta
+ * - isUsable(metaOrSession): Return false to drop the session instead of refreshing it
+ */
+export const REFRESH_CSRF_COOKIE = 'refresh_csrf'
+
+const DEFAULT_EXPIRES_IN = 30 * 24 * 60 * 60
+
+export function getCookieValue(name) {
+  if (typeof document === 'undefined') return null
+
+  const cookies = document.cookie ? document.cookie.split(';') : []
+
+  for (const cookie of cookies) {
+    const [cookieName, ...rest] = cookie.trim().split('=')
+    if (cookieName === name) {
+      return decodeURIComponent(rest.join('='))
+    }
+  }
+
+  return null
+}
+
+export function getRefreshCsrfToken() {
+  return getCookieValue(REFRESH_CSRF_COOKIE)
+}
+
+// Headers for credentialed calls such as account linking; undefined without the cookie
+export function getCsrfHeaders() {
+  const csrfToken = getRefreshCsrfToken()
+  return csrfToken ? { 'X-CSRF-Token': csrfToken } : undefined
+}
+
+export function buildBackendSession(name, data, previous = null) {
+  const expiresIn = data.expires_in || DEFAULT_EXPIRES_IN
+  return {
+    access_token: data.access_token,
+    refresh_token: null,
+    expires_in: expiresIn,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    token_type: 'Bearer',
+    provider: name,
+    provider_id: data.provider_id || previous?.provider_id || null,
+    user: data.user || previous?.user || null,
+    _provider: name
+  }
+}
+
+export function createBackendSession(options = {}) {
+  const {
+    name,
+    endpoints = {},
+    label = `${name} provider`,
+    metaKey = `${name}_session_meta`,
+    isEnabled = () => true,
+    buildSession = (data, previous) => buildBackendSession(name, data, previous),
+    toMeta = session => ({ provider_id: session.provider_id, user: session.user || null }),
+    isUsable = () => true
+  } = options
+
+  if (!name || !endpoints.refresh) {
+    throw new Error('createBackendSession: `name` and `endpoints.refresh` are required')
+  }
+
+  const loadMeta = () => readStoredJson(metaKey, label)
+  const persistMeta = meta => writeStoredJson(metaKey, meta, label)
+  const clearMeta = () => removeStoredItem(metaKey, label)
+
+  // Token response from the refresh cookie, or null when there is no usable cookie
+  async function refresh() {
+    const csrfToken = getRefreshCsrfToken()
+    if (!csrfToken) {
+      return null
+    }
+
+    const { data } = await axios.post(endpoints.refresh, {}, {
+      withCredentials: true,
+      _skipRetry: true,
+      headers: {
+        'X-CSRF-Token': csrfToken
+      }
+    })
+
+    return data?.access_token ? data : null
+  }
+
+  // Also used after a redirect sign-in, when the backend has just set the cookie
+  async function restore(meta = null) {
+    const data = await refresh()
+    if (!data) {
+      await clearMeta()
+      return null
+    }
+
+    const session = await buildSession(data, meta)
+    await persistMeta(toMeta(session))
+    return session
+  }
+
+  const methods = {
+    async getStoredSession() {
+      if (!isEnabled()) return null
+
+      const meta = await loadMeta()
+      if (!meta) return null
+
+      if (!isUsable(meta)) {
+        await clearMeta()
+        return null
+      }
+
+      try {
+        return await restore(meta)
+      } catch (error) {
+        console.warn(`[${label}] Stored session refresh failed:`, error)
+        await clearMeta()
+        return null
+      }
+    },
+
+    async cacheSessionMeta(session) {
+      await persistMeta(toMeta(session))
+    },
+
+    async handleTokenExpiry(userStore, originalRequest) {
+      try {
+        const { normalizedSession } = storeToRefs(userStore)
+        const currentSession = normalizedSession.value
+        if (!currentSession) return null
+
+        if (!isUsable(currentSession)) {
+          await clearMeta()
+          return null
+        }
+
+        const data = await refresh()
+        if (!data) {
+          console.error(`[${label}] Token refresh failed: missing CSRF token`)
+          await clearMeta()
+          return null
+        }
+
+        await userStore.setSession(await buildSession(data, currentSession), name)
+
+        originalRequest.headers['Authorization'] = `Bearer ${data.access_token}`
+        originalRequest.headers['X-Auth-Provider'] = name
+        return originalRequest
+      } catch (error) {
+        console.error(`[${label}] Token refresh failed:`, error)
+        await clearMeta()
+        return null
+      }
+    },
+
+    async refreshSession(currentSession) {
+      if (!currentSession || !isUsable(currentSession)) return null
+
+      const data = await refresh()
+      return data ? buildSession(data, currentSession) : null
+    },
+
+    async signOut({ revoke = false } = {}) {
+      await clearMeta()
+
+      const endpoint = revoke && endpoints.revoke ? endpoints.revoke : endpoints.logout
+
+      try {
+        const headers = getCsrfHeaders()
+        if (headers && endpoint) {
+          await axios.post(endpoint, {}, {
+            withCredentials: true,
+            headers
+          })
+        } else if (endpoint) {
+          console.warn(`[${label}] CSRF token missing during logout; skipping cookie clear request`)
+        }
+      } catch (error) {
+        console.warn(`[${label}] Failed to clear refresh cookie:`, error)
+      }
+
+      return true
+    },
+
+    // Local cleanup only, e.g. once the refresh cookie belongs to an upgraded account
+    async discardSession() {
+      await clearMeta()
+    }
+  }
+
+  return {
+    name,
+    endpoints,
+    loadMeta,
+    persistMeta,
+    clearMeta,
+    refresh,
+    restore,
+    methods
+  }
+}
+
+/**
+ * A sign-in code or link the user is still waiting for (magic link, phone).
+ * It is kept in tab-scoped flow storage so a reload returns to the code step
+ * with the same resend cooldown. The record must carry `requestedAt`.
+ *
+ * Options:
+ * - key / label: flow storage key and log prefix
+ * - rateLimitKey: the rateLimiting bucket that also holds back resends
+ * - resendCooldown(): milliseconds between requests
+ *   (default: rateLimiting.resendCooldown)
+ *
+ * `methods` holds getPendingRequest, clearPendingRequest and getResendCooldown
+ * for the provider object.
+ */
+export function createPendingRequest(options = {}) {
+  const {
+    key,
+    label = 'AuthStorage',
+    rateLimitKey,
+    resendCooldown = () => authConfig.rateLimiting?.resendCooldown || 0
+  } = options
+
+  function load() {
+    try {
+      const stored = getFlowStorage().getItem(key)
+      return stored ? JSON.parse(stored) : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  function persist(pending) {
+    try {
+      getFlowStorage().setItem(key, JSON.stringify(pending))
+    } catch (error) {
+      console.warn(`[${label}] Failed to persist pending request:`, error)
+    }
+  }
+
+  function clear() {
+    try {
+      getFlowStorage().removeItem(key)
+    } catch (error) {
+      // Ignore storage failures
+    }
+  }
+
+  // Milliseconds until another code or link may be requested
+  function getCooldown() {
+    const pending = load()
+    const sinceLast = pending?.requestedAt ? Date.now() - pending.requestedAt : Infinity
+    return Math.max(resendCooldown() - sinceLast, getRateLimitCooldown(rateLimitKey), 0)
+  }
+
+  return {
+    load,
+    persist,
+    clear,
+    getCooldown,
+    methods: {
+      getPendingRequest: load,
+      clearPendingRequest: clear,
+      getResendCooldown: getCooldown
+    }
+  }
+}
@@ -0,0 +1,225 @@
+import { getAllProviderNames, getAuthProvider, callAuthProviderMethod } from './authProviders.js'
+import { getErrorMessage } from '../config/auth.js'
+import {
+  loadPendingLinkingSnapshot,
+  loadPendingLinkingSession,
+  clearPendingLinkingSnapshot,
+  restoreLinkingSessionSnapshot
+} from '../linking/sessionSnapshot.js'
+
+/**
+ * Shared logic behind the AuthCallback route components.
+ *
+ * Every redirect-based flow (Supabase OAuth, OIDC, magic link, SSO, the Google
+ * redirect fallback) returns
+ * to one callback URL. The provider that recognises the URL through
+ * isRedirectCallback(url) finishes it with handleRedirectCallback(url), which
+ * resolves to { session, mode, redirect }:
+ *   mode 'login'    -> the session is stored and the user is signed in
+ *   mode 'link'     -> completeRedirectLink(session) attaches the identity and
+ *                      the pre-link session snapshot is restored
+ *   mode 'recovery' -> nothing is stored; the user is sent to `redirect`
+ */
+export const DEFAULT_CALLBACK_PATH = '/auth/callback'
+
+function createCallbackError(code, fallback = null) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
+}
+
+// OAuth/OIDC errors arrive as query params (code flow) or in the hash (implicit flow)
+export function readCallbackError(url = window.location.href) {
+  const parsed = new URL(url, window.location.origin)
+  const hash = new URLSearchParams(parsed.hash.replace(/^#/, ''))
+  const error = parsed.searchParams.get('error') || hash.get('error')
+  if (!error) return null
+
+  return {
+    error,
+    description: parsed.searchParams.get('error_description') || hash.get('error_description') || null
+  }
+}
+
+/**
+ * Only same-origin paths are allowed as post-login targets, so a crafted
+ * callback link can't bounce the user to another site.
+ */
+export function resolveRedirectTarget(target, fallback = '/') {
+  if (typeof target !== 'string' || !target.startsWith('/') || target.startsWith('//') || target.startsWith('/\\')) {
+    return fallback
+  }
+
+  try {
+    const resolved = new URL(target, window.location.origin)
+    if (resolved.origin !== window.location.origin) return fallback
+    return `${resolved.pathname}${resolved.search}${resolved.hash}`
+  } catch (error) {
+    return fallback
+  }
+}
+
+export function findRedirectCallbackProvider(url = window.location.href) {
+  for (const name of getAllProviderNames()) {
+    const provider = getAuthProvider(name)
+    if (typeof provider?.isRedirectCallback !== 'function') continue
+    if (!provider.getMetadata?.()?.configured) continue
+
+    try {
+      if (provider.isRedirectCallback(url)) return name
+    } catch (error) {
+      console.warn(`[AuthCallback] ${name} failed to inspect the callback URL:`, error)
+    }
+  }
+  return null
+}
+
+async function restorePendingLink(userStore, pending, providerName = null) {
+  const snapshot = await loadPendingLinkingSession(pending)
+  await clearPendingLinkingSnapshot()
+  if (!snapshot) return false
+  return restoreLinkingSessionSnapshot(userStore, snapshot, providerName)
+}
+
+function sameOriginWindow(other) {
+  try {
+    return !!other && other !== window && other.location.origin === window.location.origin
+  } catch {
+    // Cross-origin windows throw on location access
+    return false
+  }
+}
+
+/**
+ * True when this callback page runs inside a popup or silent-renew iframe
+ * opened by the app. The opening window reads the URL and finishes the
+ * flow itself, so the callback page must not consume the code or state.
+ */
+export function isDelegatedCallbackWindow() {
+  if (typeof window === 'undefined') return false
+  return sameOriginWindow(window.opener) || sameOriginWindow(window.parent)
+}
+
+/**
+ * Finish whatever redirect flow brought the user to the callback route.
+ * Resolves to { mode, provider, redirect } where `redirect` is already
+ * validated; rejects with an Error whose message is safe to show.
+ * Mode 'delegated' means the opener or parent window owns the callback
+ * and the page should stay where it is.
+ */
+export async function processAuthCallback(userStore, { url = window.location.href, fallbackRedirect = '/' } = {}) {
+  if (isDelegatedCallbackWindow()) {
+    return { mode: 'delegated', provider: null, redirect: null }
+  }
+
+  const parsed = new URL(url, window.location.origin)
+  const requestedRedirect = parsed.searchParams.get('redirect')
+  const pendingLink = loadPendingLinkingSnapshot()
+
+  const callbackError = readCallbackError(url)
+  if (callbackError) {
+    // The user's own session must survive a cancelled or failed link
+    await restorePendingLink(userStore, pendingLink)
+    const error = createCallbackError('AUTH_CALLBACK_FAILED', callbackError.description)
+    error.description = callbackError.description
+    error.providerError = callbackError.error
+    throw error
+  }
+
+  const providerName = findRedirectCallbackProvider(url)
+  if (!providerName) {
+    // supabase-js may already have consumed hash tokens while the store initialised
+    if (userStore.hasSession && !pendingLink) {
+      const mode = userStore.requiresMfa ? 'mfa' : 'login'
+      return { mode, provider: userStore.currentProvider, redirect: resolveRedirectTarget(requestedRedirect, fallbackRedirect) }
+    }
+    await restorePendingLink(userStore, pendingLink)
+    throw createCallbackError('AUTH_CALLBACK_INVALID')
+  }
+
+  let result
+  try {
+    result = await callAuthProviderMethod(providerName, 'handleRedirectCallback', url)
+  } catch (error) {
+    await restorePendingLink(userStore, pendingLink)
+    throw error
+  }
+
+  if (result?.mode === 'recovery') {
+    return { mode: 'recovery', provider: providerName, redirect: resolveRedirectTarget(result.redirect, fallbackRedirect) }
+  }
+
+  if (!result?.session) {
+    await restorePendingLink(userStore, pendingLink)
+    throw createCallbackError('AUTH_CALLBACK_INVALID')
+  }
+
+  const isLink = result.mode === 'link' || pendingLink?.provider === providerName
+  if (isLink) {
+    try {
+      if (typeof getAuthProvider(providerName).completeRedirectLink !== 'function') {
+        throw new Error(`${providerName} accounts can't be connected through a redirect`)
+      }
+      await callAuthProviderMethod(providerName, 'completeRedirectLink', result.session)
+    } finally {
+      const restored = await restorePendingLink(userStore, pendingLink, providerName)
+      if (!restored && userStore.isAuthenticated) {
+        await userStore.fetchProfile().catch(() => {})
+      }
+    }
+
+    return {
+      mode: 'link',
+      provider: providerName,
+      redirect: resolveRedirectTarget(pendingLink?.returnTo || result.redirect || requestedRedirect, fallbackRedirect)
+    }
+  }
+
+  // A stale link attempt must not be applied to the next callback
+  if (pendingLink) {
+    await clearPendingLinkingSnapshot()
+  }
+
+  await userStore.setSession(result.session, providerName)
+  const redirect = resolveRedirectTarget(result.redirect || requestedRedirect, fallbackRedirect)
+
+  if (userStore.requiresMfa) {
+    return { mode: 'mfa', provider: providerName, redirect }
+  }
+
+  try {
+    await userStore.fetchProfile()
+  } catch (profileError) {
+    console.warn('[AuthCallback] Profile fetch failed, but auth succeeded:', profileError)
+  }
+
+  return { mode: 'login', provider: providerName, redirect }
+}
+
+/**
+ * Route record for the callback page:
+ *
+ *   routes: [createAuthCallbackRoute({ flavour: 'vuetify' }), ...]
+ */
+export function createAuthCallbackRoute(options = {}) {
+  const {
+    path = DEFAULT_CALLBACK_PATH,
+    name = 'auth-callback',
+    flavour = 'plain',
+    component = null,
+    fallbackRedirect = '/',
+    meta = {}
+  } = options
+
+  const defaultComponent = flavour === 'vuetify'
+    ? () => import('../components/vue/AuthCallback.vue')
+    : () => import('../components/plain/AuthCallback.vue')
+
+  return {
+    path,
+    name,
+    component: component || defaultComponent,
+    props: { fallbackRedirect },
+    meta: { public: true, ...meta }
+  }
+}
@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveRedirectTarget } from './callback.js'
+
+before(() => {
+  globalThis.window = { location: { origin: 'https://app.example.com' } }
+})
+
+after(() => {
+  delete globalThis.window
+})
+
+test('resolveRedirectTarget keeps same-origin paths with their query and hash', () => {
+  assert.equal(resolveRedirectTarget('/dashboard'), '/dashboard')
+  assert.equal(resolveRedirectTarget('/settings?tab=security#mfa'), '/settings?tab=security#mfa')
+  assert.equal(resolveRedirectTarget('/a/../b'), '/b')
+})
+
+test('resolveRedirectTarget rejects absolute URLs to other origins', () => {
+  assert.equal(resolveRedirectTarget('https://evil.example/phish'), '/')
+  assert.equal(resolveRedirectTarget('http://app.example.com/dashboard'), '/')
+  assert.equal(resolveRedirectTarget('https://app.example.com/dashboard'), '/')
+})
+
+test('resolveRedirectTarget rejects protocol-relative targets', () => {
+  assert.equal(resolveRedirectTarget('//evil.example'), '/')
+  assert.equal(resolveRedirectTarget('//evil.example/path'), '/')
+  assert.equal(resolveRedirectTarget('/\\evil.example'), '/')
+})
+
+test('resolveRedirectTarget rejects javascript: and other scheme targets', () => {
+  assert.equal(resolveRedirectTarget('javascript:alert(document.cookie)'), '/')
+  assert.equal(resolveRedirectTarget('JavaScript:alert(1)'), '/')
+  assert.equal(resolveRedirectTarget('data:text/html,<script>alert(1)</script>'), '/')
+})
+
+test('resolveRedirectTarget falls back for missing or non-string targets', () => {
+  assert.equal(resolveRedirectTarget(undefined), '/')
+  assert.equal(resolveRedirectTarget(''), '/')
+  assert.equal(resolveRedirectTarget(['/dashboard']), '/')
+  assert.equal(resolveRedirectTarget('dashboard'), '/')
+})
+
+test('resolveRedirectTarget returns the given fallback when it rejects a target', () => {
+  assert.equal(resolveRedirectTarget('//evil.example', '/home'), '/home')
+  assert.equal(resolveRedirectTarget('javascript:alert(1)', null), null)
+})
@@ -2,7 +2,7 @@
  * interceptor.js - Axios Request/Response Interceptor for Authentication
  *
  * WHAT IT DOES:
- * - Adds authentication headers to all outgoing requests
+ * - Adds authentication headers to requests for allowed origins (tokenAttachment.js)
  * - Handles 401 errors by refreshing expired tokens
  * - Implements smart retry logic for failed requests
  * - Provides detailed error categorization and logging
@@ -22,6 +22,9 @@
  * - Rate limit handling (lines 203-216): Respects server throttling
  * - Request tracking (lines 234): Traces requests across retries
  * - User-friendly messages (lines 346-369): Converts technical errors to helpful text
+ * - Per-instance installs: createAuthInterceptor(instance) for axios.create() clients,
+ *   each with its own refresh queue and an eject() handle; all instances share one
+ *   in-flight refresh
  *
  * CRITICAL FLOWS:
  * 1. Token Expiry: 401 → Queue request → Refresh token → Retry with new token
@@ -31,6 +34,7 @@
 import axios from 'axios'
 import { useUserStateStore } from '../stores/userState.js'
 import { callAuthProviderMethod } from './authProviders.js'
+import { resolveRequestUrl, shouldAttachToken } from './tokenAttachment.js'
 
 let routerRef = null
 
@@ -49,15 +53,14 @@ const INTERCEPTOR_CONFIG = {
   enableDetailedLogging: true   // Essential for debugging production issues
 }
 
-// WHY: Prevents duplicate token refreshes when multiple requests fail simultaneously
-// All 401 responses queue up and wait for ONE refresh to complete
-let isRefreshing = false
-let refreshSubscribers = []
+// One install per axios instance; installing twice returns the existing handle
+const installedInterceptors = new WeakMap()
 
 // Error categorization
 const ERROR_CATEGORIES = {
   NETWORK: 'network_error',
   AUTH: 'auth_error',
+  MFA_REQUIRED: 'mfa_required_error',
   SERVER: 'server_error',
   CLIENT: 'client_error',
   TIMEOUT: 'timeout_error',
@@ -65,6 +68,19 @@ const ERROR_CATEGORIES = {
   UNKNOWN: 'unknown_error'
 }
 
+// WHY: A backend that needs a stronger session (aal2) answers 403 with an
+// MFA marker. That is a step-up prompt, not a reason to sign the user out.
+function isMfaRequiredError(error) {
+  if (error.response?.status !== 403) return false
+
+  const data = error.response.data || {}
+  const code = String(data.code || data.error || data.error_code || '').toLowerCase()
+  if (code === 'mfa_required' || code === 'insufficient_aal') return true
+
+  const challenge = error.response.headers?.['www-authenticate'] || ''
+  return challenge.includes('insufficient_user_authentication')
+}
+
 // WHY: Different error types need different retry strategies
 // Network errors are retryable, auth errors are not
 function categorizeError(error) {
@@ -78,7 +94,9 @@ function categorizeError(error) {
 
   const status = error.response.status
 
-  if (status === 401 || status === 403) {
+  if (isMfaRequiredError(error)) {
+    return ERROR_CATEGORIES.MFA_REQUIRED
+  } else if (status === 401 || status === 403) {
     return ERROR_CATEGORIES.AUTH
   } else if (status === 429) {
     return ERROR_CATEGORIES.RATE_LIMIT
@@ -128,32 +146,54 @@ function logError(error, context = {}) {
   }
 }
 
+// WHY: Prevents duplicate token refreshes when multiple requests fail simultaneously
+// All 401 responses on one instance queue up and wait for ONE refresh to complete
+function createRefreshState() {
+  return {
+    isRefreshing: false,
+    subscribers: []
+  }
+}
+
 // Subscribe to token refresh completion
-function subscribeTokenRefresh(callback) {
-  refreshSubscribers.push(callback)
+function subscribeTokenRefresh(state, callback) {
+  state.subscribers.push(callback)
 }
 
 // Notify all subscribers when token is refreshed
-function onTokenRefreshed(token) {
-  refreshSubscribers.forEach(callback => callback(token))
-  refreshSubscribers = []
+function onTokenRefreshed(state, token) {
+  state.subscribers.forEach(callback => callback(token))
+  state.subscribers = []
 }
 
-// WHY: Multiple requests can fail with 401 simultaneously - this prevents
-// multiple token refreshes and ensures all requests use the new token
-async function handleTokenRefresh(userStore, originalRequest) {
-  // If already refreshing, queue this request
-  if (isRefreshing) {
-    return new Promise((resolve) => {
-      subscribeTokenRefresh((token) => {
-        originalRequest.headers['Authorization'] = `Bearer ${token}`
-        resolve(axios.request(originalRequest))
-      })
+function redirectToLogin(router, query) {
+  if (router?.currentRoute?.value?.name !== 'login') {
+    router?.push?.({
+      name: 'login',
+      query: {
+        redirect: router?.currentRoute?.value?.fullPath,
+        ...query
+      }
     })
   }
+}
+
+// WHY: Instances keep their own queues but share the refresh itself - with
+// rotating refresh tokens a second concurrent refresh spends a revoked token
+// and signs the user out
+let sharedRefresh = null
 
-  isRefreshing = true
+function refreshAccessToken(userStore, originalRequest) {
+  if (!sharedRefresh) {
+    sharedRefresh = runTokenRefresh(userStore, originalRequest).finally(() => {
+      sharedRefresh = null
+    })
+  }
+  return sharedRefresh
+}
 
+// Resolves with the new access token; signs out when the refresh fails
+async function runTokenRefresh(userStore, originalRequest) {
   try {
     // Set a timeout for token refresh
     const refreshPromise = callAuthProviderMethod(
@@ -169,34 +209,51 @@ async function handleTokenRefresh(userStore, originalRequest) {
 
     const refreshResult = await Promise.race([refreshPromise, timeoutPromise])
 
-    if (refreshResult) {
-      // Token refreshed successfully
-      const newToken = userStore.token
-      onTokenRefreshed(newToken)
-      isRefreshing = false
-      return axios.request(refreshResult)
+    if (!refreshResult) {
+      throw new Error('Token refresh failed')
     }
 
-    throw new Error('Token refresh failed')
+    return userStore.token
   } catch (error) {
     logError(error, { operation: 'token_refresh' })
-    isRefreshing = false
-    refreshSubscribers = []
 
-    // Sign out user and redirect to login
     if (typeof userStore.signOut === 'function') {
       await userStore.signOut()
     }
 
-    if (routerRef?.currentRoute?.value?.name !== 'login') {
-      routerRef?.push?.({
-        name: 'login',
-        query: {
-          redirect: routerRef?.currentRoute?.value?.fullPath,
-          error: 'session_expired'
-        }
+    throw error
+  }
+}
+
+// WHY: Multiple requests can fail with 401 simultaneously - this prevents
+// multiple token refreshes and ensures all requests use the new token
+async function handleTokenRefresh(context, userStore, originalRequest) {
+  const { instance, state } = context
+
+  // If already refreshing, queue this request
+  if (state.isRefreshing) {
+    return new Promise((resolve) => {
+      subscribeTokenRefresh(state, (token) => {
+        originalRequest.headers['Authorization'] = `Bearer ${token}`
+        resolve(instance.request(originalRequest))
       })
-    }
+    })
+  }
+
+  state.isRefreshing = true
+
+  try {
+    const newToken = await refreshAccessToken(userStore, originalRequest)
+    onTokenRefreshed(state, newToken)
+    state.isRefreshing = false
+
+    originalRequest.headers['Authorization'] = `Bearer ${newToken}`
+    return instance.request(originalRequest)
+  } catch (error) {
+    state.isRefreshing = false
+    state.subscribers = []
+
+    redirectToLogin(context.getRouter(), { error: 'session_expired' })
 
     throw error
   }
@@ -231,6 +288,7 @@ function shouldRetry(error, retryCount) {
       return true // Will retry with longer delay
 
     case ERROR_CATEGORIES.AUTH:
+    case ERROR_CATEGORIES.MFA_REQUIRED:
     case ERROR_CATEGORIES.CLIENT:
     case ERROR_CATEGORIES.UNKNOWN:
     default:
@@ -261,17 +319,61 @@ function getRetryDelay(error, retryCount) {
   return calculateRetryDelay(retryCount)
 }
 
-export function setupAuthInterceptor(router) {
-  if (router) {
-    routerRef = router
+// WHY: An instance pointed at several services should only send our token to the ones listed
+function normalizeBaseUrls(baseURL) {
+  const list = Array.isArray(baseURL) ? baseURL : (baseURL ? [baseURL] : [])
+  return list.map((entry) => {
+    const url = resolveRequestUrl(entry)
+    return { origin: url.origin, path: url.pathname.replace(/\/?$/, '/') }
+  })
+}
+
+function matchesBaseUrls(instance, config, baseUrls) {
+  if (!baseUrls.length) return true
+
+  try {
+    const url = resolveRequestUrl(instance.getUri(config))
+    const path = url.pathname.replace(/\/?$/, '/')
+    return baseUrls.some(base => base.origin === url.origin && path.startsWith(base.path))
+  } catch (error) {
+    return false
   }
+}
+
+/**
+ * Install the auth interceptors on one axios instance, e.g. an SDK client made
+ * with axios.create(). Options:
+ * - router: vue-router for session-expired redirects (defaults to setAuthRouter's)
+ * - baseURL: string or array; only requests under these base URLs get auth
+ *   headers and 401 handling (default: every request of the instance)
+ *
+ * Returns { instance, eject } - eject() removes both interceptors again.
+ */
+export function createAuthInterceptor(axiosInstance = axios, options = {}) {
+  const instance = axiosInstance || axios
+  const existing = installedInterceptors.get(instance)
+  if (existing) {
+    return existing
+  }
+
+  const baseUrls = normalizeBaseUrls(options.baseURL)
+  const context = {
+    instance,
+    state: createRefreshState(),
+    getRouter: () => options.router || routerRef
+  }
+  // Instance base URLs first, then the global attachment rules (allowed origins, path prefixes)
+  const isAuthenticatedRequest = config => !config._skipAuth &&
+    matchesBaseUrls(instance, config, baseUrls) &&
+    shouldAttachToken(instance.getUri(config), config)
+
   // Request interceptor
-  axios.interceptors.request.use(
+  const requestId = instance.interceptors.request.use(
     config => {
       const userStore = useUserStateStore()
 
-      // Add auth headers
-      if (userStore.token) {
+      // Add auth headers to allowed destinations only (callers opt out with _skipAuth)
+      if (userStore.token && isAuthenticatedRequest(config)) {
         config.headers['Authorization'] = `Bearer ${userStore.token}`
         config.headers['X-Auth-Provider'] = userStore.currentProvider || 'none'
       }
@@ -304,7 +406,7 @@ export function setupAuthInterceptor(router) {
   )
 
   // Response interceptor with comprehensive error handling and retry logic
-  axios.interceptors.response.use(
+  const responseId = instance.interceptors.response.use(
     response => {
       // Log successful response if detailed logging enabled
       if (INTERCEPTOR_CONFIG.enableDetailedLogging && response.config.headers['X-Retry-Count']) {
@@ -325,7 +427,15 @@ export function setupAuthInterceptor(router) {
       }
 
       // WHY: 401 usually means token expired - refresh and retry instead of failing
-      if (error.response?.status === 401 && userStore.token && !originalRequest._skipAuth) {
+      if (error.response?.status === 401 && userStore.token && isAuthenticatedRequest(originalRequest)) {
+        // WHY: The provider SDK may have refreshed in the background (and told the
+        // store) after this request went out - retry with the new token, don't refresh again
+        const sentAuthorization = originalRequest.headers?.['Authorization']
+        if (!originalRequest._staleTokenRetry && sentAuthorization && sentAuthorization !== `Bearer ${userStore.token}`) {
+          originalRequest._staleTokenRetry = true
+          return instance.request(originalRequest)
+        }
+
         // WHY: /auth/me failure means JWT secret mismatch - unrecoverable
         if (originalRequest.url?.includes('/auth/me')) {
           logError(error, {
@@ -337,27 +447,32 @@ export function setupAuthInterceptor(router) {
             await userStore.signOut()
           }
 
-          if (routerRef?.currentRoute?.value?.name !== 'login') {
-            routerRef?.push?.({
-              name: 'login',
-              query: {
-                redirect: routerRef?.currentRoute?.value?.fullPath,
-                error: 'auth_validation_failed'
-              }
-            })
-          }
+          redirectToLogin(context.getRouter(), { error: 'auth_validation_failed' })
+
+          return Promise.reject(error)
+        }
 
+        // WHY: A replay that still gets 401 was refused with a fresh token -
+        // refreshing again would loop, so each request refreshes at most once
+        if (originalRequest._refreshAttempted) {
           return Promise.reject(error)
         }
+        originalRequest._refreshAttempted = true
 
         // Attempt token refresh
         try {
-          return await handleTokenRefresh(userStore, originalRequest)
+          return await handleTokenRefresh(context, userStore, originalRequest)
         } catch (refreshError) {
           return Promise.reject(refreshError)
         }
       }
 
+      // WHY: Keep the session and send the user to the TOTP challenge instead
+      if (isMfaRequiredError(error) && userStore.token && isAuthenticatedRequest(originalRequest)) {
+        userStore.requireMfaStepUp()
+        redirectToLogin(context.getRouter(), { mfa: 'required' })
+      }
+
       // WHY: Smart retry logic - only retry errors that might succeed next time
       if (shouldRetry(error, originalRequest._retryCount)) {
         originalRequest._retryCount++
@@ -375,7 +490,7 @@ export function setupAuthInterceptor(router) {
         await new Promise(resolve => setTimeout(resolve, delay))
 
         // Retry the request
-        return axios.request(originalRequest)
+        return instance.request(originalRequest)
       }
 
       // Final error handling - no more retries
@@ -412,6 +527,10 @@ export function setupAuthInterceptor(router) {
           error.userMessage = 'Authentication failed. Please sign in again.'
           break
 
+        case ERROR_CATEGORIES.MFA_REQUIRED:
+          error.userMessage = 'Please confirm it\'s you with your authenticator app.'
+          break
+
         default:
           error.userMessage = error.response?.data?.message || 'An error occurred. Please try again.'
       }
@@ -419,6 +538,26 @@ export function setupAuthInterceptor(router) {
       return Promise.reject(error)
     }
   )
+
+  const handle = {
+    instance,
+    eject() {
+      instance.interceptors.request.eject(requestId)
+      instance.interceptors.response.eject(responseId)
+      installedInterceptors.delete(instance)
+    }
+  }
+
+  installedInterceptors.set(instance, handle)
+  return handle
+}
+
+// Global axios singleton; returns the same handle as createAuthInterceptor(axios)
+export function setupAuthInterceptor(router) {
+  if (router) {
+    routerRef = router
+  }
+  return createAuthInterceptor(axios)
 }
 
 // Export configuration for external modification if needed
@@ -427,6 +566,7 @@ export const interceptorConfig = INTERCEPTOR_CONFIG
 // Export utility functions for testing
 export const __testing = {
   categorizeError,
+  isMfaRequiredError,
   calculateRetryDelay,
   shouldRetry,
   getRetryDelay
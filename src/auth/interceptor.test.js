@@ -0,0 +1,180 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import axios, { AxiosError } from 'axios'
+import { createPinia, setActivePinia } from 'pinia'
+import { configureAuthClient, resetAuthClientConfig } from '../runtimeConfig.js'
+import { useUserStateStore } from '../stores/userState.js'
+import { registerAuthProvider } from './authProviders.js'
+import { createAuthInterceptor, interceptorConfig } from './interceptor.js'
+
+const defaultLogging = interceptorConfig.enableDetailedLogging
+const defaultRefreshTimeout = interceptorConfig.tokenRefreshTimeout
+
+// Test provider: every refresh swaps in the token returned by nextToken()
+let refreshCount = 0
+let nextToken = () => 'fresh-token'
+
+registerAuthProvider('test', {
+  normalizeSession: raw => ({ ...raw, provider: 'test' }),
+  async handleTokenExpiry(userStore) {
+    refreshCount++
+    // Let every concurrent 401 reach the interceptor before the refresh settles
+    await new Promise(resolve => setTimeout(resolve, 10))
+    return userStore.setSession({ access_token: nextToken() }, 'test')
+  }
+})
+
+// Axios instance whose backend answers 401 to any token but the accepted one
+function createInstance(acceptedToken = 'fresh-token') {
+  const requests = []
+  const instance = axios.create({
+    adapter: async (config) => {
+      const authorization = config.headers.Authorization || null
+      requests.push({ url: config.url, authorization, provider: config.headers['X-Auth-Provider'] || null })
+
+      const status = !authorization || authorization === `Bearer ${acceptedToken}` ? 200 : 401
+      const response = { status, statusText: String(status), data: {}, headers: {}, config, request: {} }
+      if (!config.validateStatus(status)) {
+        throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, config, {}, response)
+      }
+      return response
+    }
+  })
+  return { instance, requests }
+}
+
+let userStore = null
+let handles = []
+
+function install(instance, options) {
+  const handle = createAuthInterceptor(instance, options)
+  handles.push(handle)
+  return handle
+}
+
+beforeEach(async (t) => {
+  t.mock.method(console, 'log', () => {})
+  interceptorConfig.enableDetailedLogging = false
+  interceptorConfig.tokenRefreshTimeout = 1000
+  refreshCount = 0
+  nextToken = () => 'fresh-token'
+
+  configureAuthClient({ providers: ['local'], defaultProvider: 'local' })
+  setActivePinia(createPinia())
+  userStore = useUserStateStore()
+  await userStore.setSession({ access_token: 'stale-token' }, 'test')
+})
+
+afterEach(() => {
+  handles.forEach(handle => handle.eject())
+  handles = []
+  interceptorConfig.enableDetailedLogging = defaultLogging
+  interceptorConfig.tokenRefreshTimeout = defaultRefreshTimeout
+  resetAuthClientConfig()
+})
+
+test('attaches the bearer token and provider to same-origin requests', async () => {
+  await userStore.setSession({ access_token: 'fresh-token' }, 'test')
+  const { instance, requests } = createInstance()
+  install(instance)
+
+  await instance.get('/api/data')
+  await instance.get('/api/public', { _skipAuth: true })
+
+  assert.deepEqual(requests[0], { url: '/api/data', authorization: 'Bearer fresh-token', provider: 'test' })
+  assert.equal(requests[1].authorization, null)
+})
+
+test('installing twice on one instance returns the same handle', () => {
+  const { instance } = createInstance()
+
+  const first = install(instance)
+  const second = createAuthInterceptor(instance)
+
+  assert.equal(second, first)
+  assert.equal(first.instance, instance)
+})
+
+test('eject removes the interceptors and allows a fresh install', async () => {
+  await userStore.setSession({ access_token: 'fresh-token' }, 'test')
+  const { instance, requests } = createInstance()
+  const handle = createAuthInterceptor(instance)
+
+  handle.eject()
+  await instance.get('/api/data')
+  assert.equal(requests[0].authorization, null)
+
+  const reinstalled = install(instance)
+  assert.notEqual(reinstalled, handle)
+  await instance.get('/api/data')
+  assert.equal(requests[1].authorization, 'Bearer fresh-token')
+})
+
+test('installs on several instances independently', async () => {
+  await userStore.setSession({ access_token: 'fresh-token' }, 'test')
+  const first = createInstance()
+  const second = createInstance()
+  const firstHandle = createAuthInterceptor(first.instance)
+  install(second.instance)
+
+  firstHandle.eject()
+  await first.instance.get('/api/data')
+  await second.instance.get('/api/data')
+
+  assert.equal(first.requests[0].authorization, null)
+  assert.equal(second.requests[0].authorization, 'Bearer fresh-token')
+})
+
+test('only requests under the baseURL option get the token', async () => {
+  await userStore.setSession({ access_token: 'fresh-token' }, 'test')
+  const { instance, requests } = createInstance()
+  install(instance, { baseURL: '/api/' })
+
+  await instance.get('/api/data')
+  await instance.get('/other/data')
+
+  assert.equal(requests[0].authorization, 'Bearer fresh-token')
+  assert.equal(requests[1].authorization, null)
+})
+
+test('a 401 refreshes the token and replays the request with it', async () => {
+  const { instance, requests } = createInstance()
+  install(instance)
+
+  const response = await instance.get('/api/data')
+
+  assert.equal(response.status, 200)
+  assert.equal(refreshCount, 1)
+  assert.deepEqual(requests.map(request => request.authorization), ['Bearer stale-token', 'Bearer fresh-token'])
+})
+
+test('concurrent 401s on several instances share one in-flight refresh', async () => {
+  const first = createInstance()
+  const second = createInstance()
+  install(first.instance)
+  install(second.instance)
+
+  const responses = await Promise.all([
+    first.instance.get('/api/a'),
+    first.instance.get('/api/b'),
+    second.instance.get('/api/c')
+  ])
+
+  assert.deepEqual(responses.map(response => response.status), [200, 200, 200])
+  assert.equal(refreshCount, 1)
+  assert.equal(userStore.token, 'fresh-token')
+
+  const replays = [...first.requests, ...second.requests].filter(request => request.authorization === 'Bearer fresh-token')
+  assert.equal(replays.length, 3)
+})
+
+test('a replay that still gets 401 is not refreshed again', async () => {
+  nextToken = () => 'rejected-token'
+  const { instance, requests } = createInstance()
+  install(instance)
+
+  await assert.rejects(instance.get('/api/data'), error => error.response?.status === 401)
+
+  assert.equal(refreshCount, 1)
+  assert.equal(requests.length, 2)
+})
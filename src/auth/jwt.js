@@ -0,0 +1,36 @@
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+export function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? textEncoder.encode(input) : new Uint8Array(input)
+  let binary = ''
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte)
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function base64UrlDecode(value) {
+  const normalized = String(value).replace(/-/g, '+').replace(/_/g, '/')
+  const padded = normalized + '='.repeat((4 - (normalized.length % 4)) % 4)
+  const binary = atob(padded)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+export function decodeJwtPayload(token) {
+  if (!token || typeof token !== 'string') return null
+
+  const parts = token.split('.')
+  if (parts.length < 2) return null
+
+  try {
+    return JSON.parse(textDecoder.decode(base64UrlDecode(parts[1])))
+  } catch (error) {
+    console.warn('[JWT] Failed to decode token payload:', error)
+    return null
+  }
+}
@@ -0,0 +1,57 @@
+import { decodeJwtPayload } from '../jwt.js'
+
+export function normalizeOidcClaims(claims) {
+  if (!claims) {
+    return null
+  }
+
+  return {
+    provider_id: claims.sub,
+    email: claims.email || null,
+    email_verified: claims.email_verified || false,
+    name: claims.name ||
+          (claims.given_name && claims.family_name ?
+            `${claims.given_name} ${claims.family_name}` :
+            claims.given_name ||
+            claims.family_name ||
+            claims.preferred_username ||
+            claims.email?.split('@')[0] ||
+            'User'),
+    avatar_url: claims.picture || null,
+    given_name: claims.given_name || null,
+    family_name: claims.family_name || null,
+    provider: 'oidc',
+    is_anonymous: false,
+    raw_metadata: {
+      iss: claims.iss,
+      preferred_username: claims.preferred_username,
+      locale: claims.locale,
+      groups: claims.groups,
+      roles: claims.roles
+    }
+  }
+}
+
+export function normalizeOidcSession(session) {
+  if (!session) {
+    return null
+  }
+
+  const claims = session.claims || decodeJwtPayload(session.id_token) || {}
+  const user = session.user || normalizeOidcClaims(claims)
+
+  return {
+    access_token: session.access_token,
+    refresh_token: session.refresh_token || null,
+    id_token: session.id_token || null,
+    expires_at: session.expires_at,
+    expires_in: session.expires_in,
+    token_type: session.token_type || 'Bearer',
+    scope: session.scope || null,
+    provider: 'oidc',
+    provider_id: session.provider_id || claims.sub || user?.provider_id,
+    user,
+    isAnonymous: false,
+    raw: session
+  }
+}
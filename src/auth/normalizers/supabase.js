@@ -69,6 +69,9 @@ export function normalizeSupabaseSession(session) {
     provider: 'supabase',
     provider_id: decodedToken?.sub || session.user?.id,
     user: normalizedUser,
-    is_anonymous: normalizedUser?.is_anonymous || false
+    is_anonymous: normalizedUser?.is_anonymous || false,
+    isAnonymous: normalizedUser?.is_anonymous || false,
+    // Authenticator assurance level: 'aal1' (password/OAuth) or 'aal2' (MFA verified)
+    aal: decodedToken?.aal || null
   }
 }
@@ -0,0 +1,214 @@
+import axios from 'axios'
+import { registerAuthProvider } from '../../authProviders.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { getTimeout, getErrorMessage } from '../../../config/auth.js'
+import { getAuthStorage, getFlowStorage } from '../../../storage/index.js'
+
+/**
+ * Long-lived personal access tokens for kiosks, dashboards and embeds.
+ *
+ * The token is resolved from (in order) configureAuthClient({ apiKey: { token } }),
+ * a `#api_key=...` URL fragment, or whatever was entered in the prompt widget.
+ * It is validated with GET /api/auth/me and is never refreshed: a 401 ends
+ * the session.
+ */
+const TOKEN_KEY = 'api_key_token'
+const DEFAULT_FRAGMENT_PARAM = 'api_key'
+
+let memoryToken = null
+
+function getApiKeySettings() {
+  return getAuthClientConfig().apiKey || {}
+}
+
+function isApiKeyEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  return providers.includes('apiKey')
+}
+
+// 'session' (default) survives reloads in this tab, 'local' persists through
+// the configured auth storage (kiosks), 'none' keeps the token in memory only
+function getTokenStorage() {
+  const persist = getApiKeySettings().persist || 'session'
+  if (typeof window === 'undefined' || persist === 'none') return null
+  return persist === 'local' ? getAuthStorage() : getFlowStorage()
+}
+
+async function loadStoredToken() {
+  try {
+    return (await getTokenStorage()?.getItem(TOKEN_KEY)) || memoryToken
+  } catch (error) {
+    return memoryToken
+  }
+}
+
+async function persistToken(token) {
+  memoryToken = token
+  try {
+    await getTokenStorage()?.setItem(TOKEN_KEY, token)
+  } catch (error) {
+    console.warn('[API Key Provider] Failed to persist token:', error)
+  }
+}
+
+async function clearStoredToken() {
+  memoryToken = null
+  try {
+    await getTokenStorage()?.removeItem(TOKEN_KEY)
+  } catch (error) {
+    // Ignore storage failures
+  }
+}
+
+// Reads the token from the fragment and removes it so it never lands in history
+function consumeFragmentToken() {
+  if (typeof window === 'undefined' || !window.location.hash) return null
+
+  const param = getApiKeySettings().fragmentParam || DEFAULT_FRAGMENT_PARAM
+  const params = new URLSearchParams(window.location.hash.slice(1))
+  const token = params.get(param)
+  if (!token) return null
+
+  params.delete(param)
+  const remaining = params.toString()
+  const url = `${window.location.pathname}${window.location.search}${remaining ? `#${remaining}` : ''}`
+  window.history.replaceState(window.history.state, '', url)
+
+  return token
+}
+
+function createApiKeyError(code, fallback) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
+}
+
+async function validateToken(token) {
+  try {
+    const { data } = await axios.get('/api/auth/me', {
+      timeout: getTimeout('profileFetch'),
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'X-Auth-Provider': 'apiKey'
+      },
+      _skipAuth: true,
+      _noRetry: true
+    })
+    return data || {}
+  } catch (error) {
+    const status = error.response?.status
+    if (status === 401 || status === 403) throw createApiKeyError('API_KEY_INVALID')
+    if (error.code === 'ECONNABORTED') throw createApiKeyError('TIMEOUT')
+    if (!error.response) throw createApiKeyError('NETWORK_ERROR')
+    throw createApiKeyError('UNKNOWN_ERROR', error.response?.data?.message)
+  }
+}
+
+function buildSession(token, data) {
+  return {
+    access_token: token,
+    refresh_token: null,
+    expires_in: null,
+    expires_at: null,
+    token_type: 'Bearer',
+    provider: 'apiKey',
+    provider_id: data.provider_id || data.user?.id || data.id || null,
+    user: data.user || data,
+    _provider: 'apiKey'
+  }
+}
+
+const apiKeyAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'apiKey',
+      isAnonymous: false
+    }
+  },
+
+  async getStoredSession() {
+    if (!isApiKeyEnabled()) return null
+
+    const configToken = getApiKeySettings().token
+    const fragmentToken = consumeFragmentToken()
+    const token = configToken || fragmentToken || await loadStoredToken()
+    if (!token) return null
+
+    try {
+      const data = await validateToken(token)
+      if (!configToken) {
+        await persistToken(token)
+      }
+      return buildSession(token, data)
+    } catch (error) {
+      console.warn('[API Key Provider] Stored token rejected:', error.message)
+      if (error.code === 'API_KEY_INVALID') {
+        await clearStoredToken()
+      }
+      return null
+    }
+  },
+
+  // Validate a token entered in the prompt widget and keep it for this tab
+  async signInWithToken(token) {
+    const trimmed = typeof token === 'string' ? token.trim() : ''
+    if (!trimmed) {
+      throw createApiKeyError('API_KEY_INVALID')
+    }
+
+    const data = await validateToken(trimmed)
+    await persistToken(trimmed)
+    return buildSession(trimmed, data)
+  },
+
+  // Access tokens are not refreshable; a 401 means it was revoked or expired
+  async handleTokenExpiry() {
+    console.warn('[API Key Provider] Token rejected by backend; not attempting refresh')
+    await clearStoredToken()
+    return null
+  },
+
+  async refreshSession() {
+    return null
+  },
+
+  async signOut() {
+    await clearStoredToken()
+    return true
+  },
+
+  async startAnonymousSession() {
+    throw new Error('API key authentication does not support anonymous sessions')
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('API key authentication does not support anonymous account conversion')
+  },
+
+  getMetadata() {
+    const settings = getApiKeySettings()
+
+    return {
+      name: 'apiKey',
+      displayName: settings.displayName || 'Access token',
+      icon: 'mdi-key-variant',
+      // No prompt widget when the token only ever comes from config or the URL
+      widget: settings.allowPrompt === false ? null : () => import('./ApiKeyAuthWidget.vue'),
+      requiresDialog: false,
+      configured: isApiKeyEnabled(),
+      supportsLinking: false,
+      loginStep: true,
+      // Headless sessions are owned by whoever issued the token
+      hideSignOut: settings.hideSignOut !== false,
+      hideLinking: settings.hideLinking !== false
+    }
+  }
+}
+
+registerAuthProvider('apiKey', apiKeyAuthProvider)
+
+export default apiKeyAuthProvider
@@ -0,0 +1,169 @@
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { readStoredJson, writeStoredJson, removeStoredItem } from '../../../storage/index.js'
+
+/**
+ * Google Identity Services loading and the One Tap prompt.
+ *
+ * One Tap (google.accounts.id.prompt) shows Google's account chooser without
+ * a button click; with `use_fedcm_for_prompt` the browser renders it through
+ * FedCM. When the user closes the prompt we stay quiet for a while, growing
+ * the pause like Google's own cooldown: 2 hours, 1 day, 1 week, then 4 weeks.
+ */
+export const GSI_SCRIPT_URL = 'https://accounts.google.com/gsi/client'
+
+const COOLDOWN_KEY = 'google_one_tap_cooldown'
+const COOLDOWN_STEPS = [
+  2 * 60 * 60 * 1000,
+  24 * 60 * 60 * 1000,
+  7 * 24 * 60 * 60 * 1000,
+  28 * 24 * 60 * 60 * 1000
+]
+
+// Moments caused by the user closing the prompt, as opposed to Google declining to show it
+const USER_DISMISS_REASONS = new Set(['user_cancel', 'tap_outside', 'suppressed_by_user'])
+
+let sdkPromise = null
+
+export function getOneTapSettings() {
+  return getAuthClientConfig().google?.oneTap || { enabled: false }
+}
+
+// Script tags get blocked by ad blockers and privacy tools; a failed load can be retried
+export function loadGoogleSdk(timeout = 5000) {
+  if (window.google?.accounts?.id) return Promise.resolve()
+  if (sdkPromise) return sdkPromise
+
+  sdkPromise = new Promise((resolve, reject) => {
+    const script = document.createElement('script')
+    script.src = GSI_SCRIPT_URL
+    script.async = true
+    script.defer = true
+
+    const timer = setTimeout(() => {
+      script.remove()
+      reject(new Error('SDK load timeout'))
+    }, timeout)
+
+    script.onload = () => {
+      clearTimeout(timer)
+      // Give SDK time to initialize
+      setTimeout(resolve, 100)
+    }
+
+    script.onerror = (error) => {
+      clearTimeout(timer)
+      script.remove()
+      reject(error)
+    }
+
+    document.head.appendChild(script)
+  }).catch((error) => {
+    sdkPromise = null
+    throw error
+  })
+
+  return sdkPromise
+}
+
+export function buildInitializeOptions(clientId, callback, settings = getOneTapSettings()) {
+  const options = {
+    client_id: clientId,
+    callback,
+    auto_select: false,
+    ux_mode: 'popup',
+    itp_support: true,
+    cancel_on_tap_outside: true,
+    context: 'signin'
+  }
+
+  if (!settings?.enabled) return options
+
+  return {
+    ...options,
+    auto_select: settings.autoSelect,
+    cancel_on_tap_outside: settings.cancelOnTapOutside,
+    context: settings.context,
+    use_fedcm_for_prompt: settings.fedcm
+  }
+}
+
+export async function isOneTapCoolingDown() {
+  const cooldown = await readStoredJson(COOLDOWN_KEY, 'Google One Tap')
+  return !!cooldown?.until && cooldown.until > Date.now()
+}
+
+async function recordDismissal() {
+  const previous = await readStoredJson(COOLDOWN_KEY, 'Google One Tap')
+  const dismissals = (previous?.dismissals || 0) + 1
+  const pause = COOLDOWN_STEPS[Math.min(dismissals, COOLDOWN_STEPS.length) - 1]
+  await writeStoredJson(COOLDOWN_KEY, { dismissals, until: Date.now() + pause }, 'Google One Tap')
+}
+
+export function resetOneTapCooldown() {
+  return removeStoredItem(COOLDOWN_KEY, 'Google One Tap')
+}
+
+/**
+ * Summarise a PromptMomentNotification. FedCM only reports skipped and
+ * dismissed moments; the display moment methods exist without FedCM.
+ */
+export function describePromptMoment(notification) {
+  if (notification?.isNotDisplayed?.()) {
+    return { type: 'not_displayed', reason: notification.getNotDisplayedReason?.() || null }
+  }
+  if (notification?.isSkippedMoment?.()) {
+    return { type: 'skipped', reason: notification.getSkippedReason?.() || null }
+  }
+  if (notification?.isDismissedMoment?.()) {
+    return { type: 'dismissed', reason: notification.getDismissedReason?.() || null }
+  }
+  return { type: 'displayed', reason: null }
+}
+
+/**
+ * Show the One Tap prompt. google.accounts.id.initialize must already have
+ * been called. Resolves to false when the prompt is cooling down.
+ */
+export async function promptOneTap(onMoment = null) {
+  if (!window.google?.accounts?.id) return false
+  if (await isOneTapCoolingDown()) return false
+
+  window.google.accounts.id.prompt((notification) => {
+    const moment = describePromptMoment(notification)
+    if (USER_DISMISS_REASONS.has(moment.reason)) {
+      recordDismissal().catch(() => {})
+    }
+    onMoment?.(moment)
+  })
+
+  return true
+}
+
+export function cancelOneTap() {
+  try {
+    window.google?.accounts?.id?.cancel()
+  } catch (error) {
+    // Ignore cleanup errors
+  }
+}
+
+// "Forget this device": close any prompt, stop auto-select and drop the cooldown record
+export async function clearOneTapState() {
+  cancelOneTap()
+  window.google?.accounts?.id?.disableAutoSelect()
+  await resetOneTapCooldown()
+}
+
+/**
+ * Revoke the user's consent to sign in to this app with Google. One Tap and
+ * automatic sign-in stop offering the account until the user signs in again.
+ * `hint` is the account's email address or Google user id.
+ */
+export async function revokeGoogleSignIn(hint) {
+  if (!hint) return false
+
+  await loadGoogleSdk()
+  return new Promise((resolve) => {
+    window.google.accounts.id.revoke(hint, (response) => resolve(!!response?.successful))
+  })
+}
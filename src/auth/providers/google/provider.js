@@ -1,59 +1,114 @@
 import axios from 'axios'
-import { storeToRefs } from 'pinia'
 import { registerAuthProvider } from '../../authProviders.js'
+import { createBackendSession, buildBackendSession, getCsrfHeaders } from '../../backendSession.js'
 import { normalizeGoogleSession } from '../../normalizers/google.js'
 import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { getTimeout, getErrorMessage } from '../../../config/auth.js'
+import { getFlowStorage } from '../../../storage/index.js'
+import { base64UrlEncode } from '../../jwt.js'
+import {
+  getOneTapSettings,
+  loadGoogleSdk,
+  buildInitializeOptions,
+  promptOneTap,
+  resetOneTapCooldown,
+  clearOneTapState,
+  revokeGoogleSignIn
+} from './oneTap.js'
+import {
+  getGoogleAccessToken,
+  getGrantedGoogleScopes,
+  describeGoogleScope,
+  isBasicGoogleScope,
+  revokeGoogleScopes,
+  clearGoogleTokens
+} from './tokenClient.js'
 
 const SESSION_META_KEY = 'google_session_meta'
+const REDIRECT_START_PATH = '/api/auth/google/start'
+const REDIRECT_STATE_KEY = 'google_redirect_pending'
+const REDIRECT_MAX_AGE = 10 * 60 * 1000
 
-function getCookieValue(name) {
-  if (typeof document === 'undefined') return null
+function isGoogleEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  const google = config.google || {}
+  return providers.includes('google') && !!google.clientId
+}
+
+// The refresh response carries only the token; the identity comes from meta or /api/auth/me
+async function buildSession(data, meta = null) {
+  let providerId = meta?.provider_id
+  let user = meta?.user || null
+
+  if (!providerId || !user) {
+    try {
+      const profileResponse = await axios.get('/api/auth/me', {
+        withCredentials: true,
+        headers: {
+          Authorization: `Bearer ${data.access_token}`
+        }
+      })
 
-  const cookies = document.cookie ? document.cookie.split(';') : []
+      const profileData = profileResponse.data || {}
+      const linkedGoogleId = profileData.linked_providers?.google
+
+      if (profileData.provider === 'google' && profileData.provider_id) {
+        providerId = profileData.provider_id
+      } else if (linkedGoogleId) {
+        providerId = linkedGoogleId
+      }
 
-  for (const cookie of cookies) {
-    const [cookieName, ...rest] = cookie.trim().split('=')
-    if (cookieName === name) {
-      return decodeURIComponent(rest.join('='))
+      user = profileData.user || user
+    } catch (profileError) {
+      console.warn('[Google Provider] Failed to fetch profile after refresh:', profileError)
     }
   }
 
-  return null
+  return buildBackendSession('google', data, { provider_id: providerId, user })
 }
 
-function getRefreshCsrfToken() {
-  return getCookieValue('refresh_csrf')
+const backendSession = createBackendSession({
+  name: 'google',
+  label: 'Google Provider',
+  metaKey: SESSION_META_KEY,
+  endpoints: {
+    refresh: '/api/auth/google/refresh',
+    logout: '/api/auth/google/logout',
+    revoke: '/api/auth/google/revoke'
+  },
+  isEnabled: isGoogleEnabled,
+  buildSession
+})
+
+/**
+ * Server-side OAuth, used when the Google SDK can't load (ad blockers,
+ * strict privacy settings). The backend runs the authorization code flow
+ * from /api/auth/google/start, sets the refresh cookie and returns to the
+ * callback route with our `state`; the session then comes from the cookie.
+ */
+function getRedirectUri() {
+  return getAuthClientConfig().google?.redirectUri || `${window.location.origin}/auth/callback`
 }
 
-function loadSessionMeta() {
+function loadPendingRedirect() {
   try {
-    const stored = localStorage.getItem(SESSION_META_KEY)
-    if (!stored) return null
-    return JSON.parse(stored)
+    const pending = JSON.parse(getFlowStorage().getItem(REDIRECT_STATE_KEY) || 'null')
+    if (pending && Date.now() - pending.createdAt > REDIRECT_MAX_AGE) {
+      getFlowStorage().removeItem(REDIRECT_STATE_KEY)
+      return null
+    }
+    return pending
   } catch (error) {
-    console.warn('[Google Provider] Failed to load session meta:', error)
-    localStorage.removeItem(SESSION_META_KEY)
+    getFlowStorage().removeItem(REDIRECT_STATE_KEY)
     return null
   }
 }
 
-function persistSessionMeta(meta) {
-  try {
-    localStorage.setItem(SESSION_META_KEY, JSON.stringify(meta))
-  } catch (error) {
-    console.warn('[Google Provider] Failed to persist session meta:', error)
-  }
-}
-
-function clearSessionMeta() {
-  localStorage.removeItem(SESSION_META_KEY)
-}
-
-function isGoogleEnabled() {
-  const config = getAuthClientConfig() || {}
-  const providers = Array.isArray(config.providers) ? config.providers : []
-  const google = config.google || {}
-  return providers.includes('google') && !!google.clientId
+function createRedirectError(code, fallback = null) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
 }
 
 const googleAuthProvider = {
@@ -61,164 +116,147 @@ const googleAuthProvider = {
     return normalizeGoogleSession(rawSession)
   },
 
-  async getStoredSession() {
-    let meta = loadSessionMeta()
+  ...backendSession.methods,
 
-    try {
-      const csrfToken = getRefreshCsrfToken()
-      if (!csrfToken) {
-        console.warn('[Google Provider] Missing CSRF token; cannot refresh session')
-        clearSessionMeta()
-        return null
-      }
+  // Exchange a Google ID token for a backend session (button, One Tap and FedCM all use this)
+  async signInWithCredential(credential) {
+    const { data } = await axios.post('/api/auth/google/one-tap', {
+      credential
+    }, {
+      timeout: getTimeout('authRequest'),
+      validateStatus: (status) => status < 500,
+      withCredentials: true
+    })
 
-      const { data } = await axios.post('/api/auth/google/refresh', {}, {
-        withCredentials: true,
-        _skipRetry: true,
-        headers: {
-          'X-CSRF-Token': csrfToken
-        }
-      })
+    if (data?.error === 'EMAIL_EXISTS') {
+      const error = new Error(`This email is already registered. Please sign in with: ${(data.existingProviders || []).join(', ')}`)
+      error.code = 'EMAIL_EXISTS'
+      error.existingProviders = data.existingProviders || []
+      throw error
+    }
+    if (data?.error || !data?.access_token) {
+      throw new Error(data?.error || 'Google sign-in did not return a session')
+    }
 
-      const expiresIn = data.expires_in || 30 * 24 * 60 * 60
+    await resetOneTapCooldown()
+    return { ...data, _provider: 'google' }
+  },
 
-      let providerId = meta?.provider_id
-      let user = meta?.user || null
+  // One Tap on app start for visitors without a session (google.oneTap.promptOnStart)
+  async promptAutomaticSignIn(userStore) {
+    const settings = getOneTapSettings()
+    if (!isGoogleEnabled() || !settings.enabled || !settings.promptOnStart) return false
+
+    await loadGoogleSdk()
+
+    const handleCredential = async ({ credential }) => {
+      try {
+        const session = await googleAuthProvider.signInWithCredential(credential)
+        await userStore.setSession(session, 'google')
+        await googleAuthProvider.cacheSessionMeta(session)
+        await userStore.fetchProfile().catch(() => {})
+      } catch (error) {
+        console.warn('[Google Provider] One Tap sign-in failed:', error)
+      }
+    }
 
-      if (!providerId || !user) {
-        try {
-          const profileResponse = await axios.get('/api/auth/me', {
-            withCredentials: true,
-            headers: {
-              Authorization: `Bearer ${data.access_token}`
-            }
-          })
+    const { clientId } = getAuthClientConfig().google
+    window.google.accounts.id.initialize(buildInitializeOptions(clientId, handleCredential, settings))
+    return promptOneTap()
+  },
 
-          const profileData = profileResponse.data || {}
-          const linkedGoogleId = profileData.linked_providers?.google
+  // Fallback for a blocked SDK: leave the app and let the backend run Google OAuth
+  startRedirectSignIn({ redirect = null } = {}) {
+    const state = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)))
+    getFlowStorage().setItem(REDIRECT_STATE_KEY, JSON.stringify({ state, redirect, createdAt: Date.now() }))
 
-          if (profileData.provider === 'google' && profileData.provider_id) {
-            providerId = profileData.provider_id
-          } else if (linkedGoogleId) {
-            providerId = linkedGoogleId
-          }
+    const params = new URLSearchParams({ redirect_uri: getRedirectUri(), state })
+    window.location.assign(`${REDIRECT_START_PATH}?${params.toString()}`)
+  },
 
-          user = profileData.user || user
-        } catch (profileError) {
-          console.warn('[Google Provider] Failed to fetch profile after refresh:', profileError)
-        }
-      }
+  isRedirectCallback(url = window.location.href) {
+    const state = new URL(url, window.location.origin).searchParams.get('state')
+    return !!state && loadPendingRedirect()?.state === state
+  },
 
-      const normalizedSession = {
-        access_token: data.access_token,
-        refresh_token: null,
-        expires_in: expiresIn,
-        expires_at: Math.floor(Date.now() / 1000) + expiresIn,
-        token_type: 'Bearer',
-        provider: 'google',
-        provider_id: providerId,
-        user
-      }
+  async handleRedirectCallback(url = window.location.href) {
+    const state = new URL(url, window.location.origin).searchParams.get('state')
+    const pending = loadPendingRedirect()
+    getFlowStorage().removeItem(REDIRECT_STATE_KEY)
 
-      persistSessionMeta({
-        provider_id: providerId,
-        user: user || null
-      })
+    if (!pending || pending.state !== state) {
+      throw createRedirectError('AUTH_CALLBACK_INVALID')
+    }
 
-      return normalizedSession
-    } catch (error) {
-      console.warn('[Google Provider] Stored session refresh failed:', error)
-      clearSessionMeta()
-      return null
+    const session = await backendSession.restore(null)
+    if (!session) {
+      throw createRedirectError('AUTH_CALLBACK_FAILED')
     }
+
+    await resetOneTapCooldown()
+    return { session: { ...session, _provider: 'google' }, mode: 'login', redirect: pending.redirect }
   },
 
-  cacheSessionMeta(session) {
-    persistSessionMeta({
-      provider_id: session.provider_id,
-      user: session.user || null
-    })
+  // Access token for Google APIs, e.g. getProviderAccessToken(['https://www.googleapis.com/auth/drive.file'])
+  async getProviderAccessToken(scopes, options = {}) {
+    return getGoogleAccessToken(scopes, options)
   },
 
-  async linkAccount(credential) {
-    const csrfToken = getRefreshCsrfToken()
+  async getGrantedScopes() {
+    const scopes = await getGrantedGoogleScopes()
+    return scopes
+      .filter(scope => !isBasicGoogleScope(scope))
+      .map(scope => ({ scope, label: describeGoogleScope(scope) }))
+  },
+
+  async revokeGrantedScopes(options = {}) {
+    return revokeGoogleScopes(options)
+  },
 
+  async linkAccount(credential) {
     await axios.post('/api/auth/google/link', {
       credential
     }, {
       withCredentials: true,
-      headers: csrfToken ? { 'X-CSRF-Token': csrfToken } : undefined
+      headers: getCsrfHeaders()
     })
 
     return true
   },
 
-  async signOut() {
-    clearSessionMeta()
-
-    try {
-      const csrfToken = getRefreshCsrfToken()
-      if (csrfToken) {
-        await axios.post('/api/auth/google/logout', {}, {
-          withCredentials: true,
-          headers: {
-            'X-CSRF-Token': csrfToken
-          }
-        })
-      } else {
-        console.warn('[Google Provider] CSRF token missing during logout; skipping cookie clear request')
+  // revoke: true also withdraws the Google sign-in grant and the backend refresh token
+  async signOut({ revoke = false } = {}) {
+    if (revoke) {
+      const meta = await backendSession.loadMeta()
+      try {
+        await revokeGoogleSignIn(meta?.user?.email || meta?.provider_id)
+      } catch (error) {
+        console.warn('[Google Provider] Failed to revoke Google sign-in:', error)
       }
-    } catch (error) {
-      console.warn('[Google Provider] Failed to clear refresh cookie:', error)
     }
 
-    if (window.google?.accounts?.id) {
+    await clearGoogleTokens()
+    await backendSession.methods.signOut({ revoke })
+
+    if (revoke) {
+      await clearOneTapState()
+    } else if (window.google?.accounts?.id) {
       window.google.accounts.id.disableAutoSelect()
     }
 
     return true
   },
 
-  async handleTokenExpiry(userStore, originalRequest) {
-    try {
-      const { normalizedSession } = storeToRefs(userStore)
-      const currentSession = normalizedSession.value
-      if (!currentSession) return null
-
-      const csrfToken = getRefreshCsrfToken()
-      if (!csrfToken) {
-        console.error('Google token refresh failed: missing CSRF token')
-        clearSessionMeta()
-        return null
-      }
-
-      const { data } = await axios.post('/api/auth/google/refresh', {}, {
-        withCredentials: true,
-        _skipRetry: true,
-        headers: {
-          'X-CSRF-Token': csrfToken
-        }
-      })
-
-      const expiresIn = data.expires_in || 30 * 24 * 60 * 60
-      const updatedSession = {
-        ...currentSession,
-        access_token: data.access_token,
-        expires_in: expiresIn,
-        expires_at: Math.floor(Date.now() / 1000) + expiresIn
-      }
-
-      await userStore.setSession(updatedSession, 'google')
-
-      originalRequest.headers['Authorization'] = `Bearer ${data.access_token}`
-      originalRequest.headers['X-Auth-Provider'] = 'google'
-      return originalRequest
+  // Granted scopes belong to the signed-in user; dropped whichever provider signs out
+  async clearUserData() {
+    await clearGoogleTokens()
+  },
 
-    } catch (error) {
-      console.error('Google token refresh failed:', error)
-      clearSessionMeta()
-      return null
-    }
+  // Local cleanup for "Sign out and forget this device", whichever provider was signed in
+  async forgetDevice() {
+    await backendSession.clearMeta()
+    await clearGoogleTokens()
+    await clearOneTapState()
   },
 
   async startAnonymousSession() {
@@ -0,0 +1,195 @@
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { getErrorMessage } from '../../../config/auth.js'
+import { readStoredJson, writeStoredJson, removeStoredItem } from '../../../storage/index.js'
+import { loadGoogleSdk } from './oneTap.js'
+
+/**
+ * Google API access tokens through the Identity Services token client.
+ *
+ * Sign-in only proves who the user is; calling Drive or Calendar needs an
+ * OAuth access token for those scopes. Scopes are requested incrementally
+ * (include_granted_scopes), tokens are cached in memory per granted scope
+ * set until shortly before they expire, and expired tokens are renewed with
+ * prompt 'none' so returning users don't see a popup. Only the list of
+ * granted scopes is persisted, for the account settings UI.
+ */
+const GRANTED_SCOPES_KEY = 'google_granted_scopes'
+const EXPIRY_SKEW = 60 * 1000
+const SCOPE_PREFIX = 'https://www.googleapis.com/auth/'
+
+// Granted with every sign-in; not worth listing as "access to your data"
+const BASIC_SCOPES = new Set([
+  'openid',
+  'email',
+  'profile',
+  `${SCOPE_PREFIX}userinfo.email`,
+  `${SCOPE_PREFIX}userinfo.profile`
+])
+
+const SCOPE_LABELS = {
+  [`${SCOPE_PREFIX}drive`]: 'Google Drive (full access)',
+  [`${SCOPE_PREFIX}drive.file`]: 'Google Drive (files used with this app)',
+  [`${SCOPE_PREFIX}drive.readonly`]: 'Google Drive (read only)',
+  [`${SCOPE_PREFIX}calendar`]: 'Google Calendar (full access)',
+  [`${SCOPE_PREFIX}calendar.events`]: 'Google Calendar events',
+  [`${SCOPE_PREFIX}calendar.readonly`]: 'Google Calendar (read only)'
+}
+
+// Errors that only mean "the user has to see Google's consent screen"
+const INTERACTION_ERRORS = new Set(['interaction_required', 'consent_required', 'login_required', 'access_denied'])
+
+const tokenCache = new Map()
+const pendingRequests = new Map()
+
+function createTokenError(code, description = null) {
+  const error = new Error(getErrorMessage(code === 'scopes_denied' ? 'GOOGLE_SCOPES_DENIED' : 'GOOGLE_TOKEN_FAILED', description))
+  error.code = code
+  return error
+}
+
+export function normalizeGoogleScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/[\s,]+/)
+  return Array.from(new Set(list.map(scope => String(scope).trim()).filter(Boolean)))
+}
+
+export function isBasicGoogleScope(scope) {
+  return BASIC_SCOPES.has(scope)
+}
+
+export function describeGoogleScope(scope) {
+  return SCOPE_LABELS[scope] || scope.replace(SCOPE_PREFIX, '')
+}
+
+function findCachedToken(scopes) {
+  const now = Date.now()
+  for (const entry of tokenCache.values()) {
+    if (entry.expiresAt - EXPIRY_SKEW > now && scopes.every(scope => entry.scopes.includes(scope))) {
+      return entry
+    }
+  }
+  return null
+}
+
+function requestToken(scopes, { prompt, loginHint }) {
+  return new Promise((resolve, reject) => {
+    const client = window.google.accounts.oauth2.initTokenClient({
+      client_id: getAuthClientConfig().google?.clientId,
+      scope: scopes.join(' '),
+      include_granted_scopes: true,
+      prompt,
+      login_hint: loginHint || undefined,
+      callback: (response) => {
+        if (response.error) {
+          reject(createTokenError(response.error, response.error_description))
+          return
+        }
+        resolve(response)
+      },
+      // Popup blocked or closed before the user answered
+      error_callback: (error) => reject(createTokenError(error?.type || 'popup_failed', error?.message))
+    })
+    client.requestAccessToken()
+  })
+}
+
+async function recordGrantedScopes(scopes) {
+  const granted = await getGrantedGoogleScopes()
+  await writeStoredJson(GRANTED_SCOPES_KEY, normalizeGoogleScopes([...granted, ...scopes]), 'Google Provider')
+}
+
+async function fetchToken(scopes, { interactive, loginHint }) {
+  await loadGoogleSdk()
+
+  // WHY: Scopes the user hasn't granted yet always need consent - a silent
+  // attempt first would only fail and open the popup outside the click
+  const granted = await getGrantedGoogleScopes()
+  const needsConsent = interactive && !scopes.every(scope => granted.includes(scope))
+
+  let response
+  if (needsConsent) {
+    // Shows consent only for scopes that haven't been granted yet
+    response = await requestToken(scopes, { prompt: '', loginHint })
+  } else {
+    try {
+      response = await requestToken(scopes, { prompt: 'none', loginHint })
+    } catch (error) {
+      if (!interactive || !INTERACTION_ERRORS.has(error.code)) throw error
+      response = await requestToken(scopes, { prompt: '', loginHint })
+    }
+  }
+
+  // Users can untick individual scopes on the consent screen
+  if (!window.google.accounts.oauth2.hasGrantedAllScopes(response, ...scopes)) {
+    throw createTokenError('scopes_denied')
+  }
+
+  const tokenScopes = normalizeGoogleScopes(response.scope)
+  const entry = {
+    accessToken: response.access_token,
+    scopes: tokenScopes,
+    expiresAt: Date.now() + Number(response.expires_in || 3600) * 1000
+  }
+  tokenCache.set(tokenScopes.slice().sort().join(' '), entry)
+  await recordGrantedScopes(tokenScopes)
+  return entry
+}
+
+/**
+ * Access token covering every scope in `scopes`. With `interactive: false`
+ * it never opens Google's consent popup and rejects instead; interactive
+ * requests should come from a click so the popup isn't blocked.
+ */
+export async function getGoogleAccessToken(scopes, { interactive = true, loginHint = null, forceRefresh = false } = {}) {
+  const requested = normalizeGoogleScopes(scopes)
+  if (!requested.length) {
+    throw createTokenError('invalid_scope', 'At least one scope is required')
+  }
+
+  const cached = forceRefresh ? null : findCachedToken(requested)
+  if (cached) return cached.accessToken
+
+  const key = requested.slice().sort().join(' ')
+  if (!pendingRequests.has(key)) {
+    pendingRequests.set(key, fetchToken(requested, { interactive, loginHint }).finally(() => {
+      pendingRequests.delete(key)
+    }))
+  }
+
+  const entry = await pendingRequests.get(key)
+  return entry.accessToken
+}
+
+export async function getGrantedGoogleScopes() {
+  return (await readStoredJson(GRANTED_SCOPES_KEY, 'Google Provider')) || []
+}
+
+export async function clearGoogleTokens() {
+  tokenCache.clear()
+  await removeStoredItem(GRANTED_SCOPES_KEY, 'Google Provider')
+}
+
+/**
+ * Revoke the app's Google API access. Google revokes every scope of the
+ * grant together, so this is all-or-nothing; signing in is unaffected.
+ */
+export async function revokeGoogleScopes({ loginHint = null } = {}) {
+  const granted = await getGrantedGoogleScopes()
+  let accessToken = findCachedToken([])?.accessToken || null
+
+  if (!accessToken && granted.length) {
+    try {
+      accessToken = await getGoogleAccessToken(granted, { interactive: false, loginHint })
+    } catch (error) {
+      // Nothing left to revoke at Google's end
+      accessToken = null
+    }
+  }
+
+  if (accessToken) {
+    await loadGoogleSdk()
+    await new Promise((resolve) => window.google.accounts.oauth2.revoke(accessToken, resolve))
+  }
+
+  await clearGoogleTokens()
+  return true
+}
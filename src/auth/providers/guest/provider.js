@@ -0,0 +1,138 @@
+import axios from 'axios'
+import { registerAuthProvider } from '../../authProviders.js'
+import { createBackendSession } from '../../backendSession.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { authConfig, getTimeout } from '../../../config/auth.js'
+
+/**
+ * Server-backed guest sessions.
+ *
+ * Unlike the `local` provider, the backend issues a real signed guest JWT
+ * (POST /api/auth/anonymous) that protected APIs can verify. The access token
+ * is refreshed through the refresh cookie like the other backend providers,
+ * but never beyond `anonymousSessionDuration` from when the guest started.
+ */
+const SESSION_META_KEY = 'guest_session_meta'
+
+const ENDPOINTS = {
+  start: '/api/auth/anonymous',
+  refresh: '/api/auth/anonymous/refresh',
+  logout: '/api/auth/anonymous/logout'
+}
+
+function isGuestEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  return providers.includes('guest')
+}
+
+function getGuestDurationSeconds() {
+  return Math.floor((authConfig.anonymousSessionDuration || 24 * 60 * 60 * 1000) / 1000)
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000)
+}
+
+// Access tokens never outlive the guest session itself
+function buildSession(data, meta = null) {
+  const guestExpiresAt = meta?.guest_expires_at || nowSeconds() + getGuestDurationSeconds()
+  const expiresIn = data.expires_in || 60 * 60
+  const expiresAt = Math.min(nowSeconds() + expiresIn, guestExpiresAt)
+  const user = data.user || meta?.user || null
+
+  return {
+    access_token: data.access_token,
+    refresh_token: null,
+    expires_in: expiresAt - nowSeconds(),
+    expires_at: expiresAt,
+    token_type: 'Bearer',
+    provider: 'guest',
+    provider_id: data.provider_id || user?.id || meta?.provider_id || null,
+    user: user ? { ...user, is_anonymous: true } : null,
+    guest_expires_at: guestExpiresAt,
+    _provider: 'guest'
+  }
+}
+
+function isGuestExpired(meta) {
+  return !meta?.guest_expires_at || meta.guest_expires_at <= nowSeconds()
+}
+
+const backendSession = createBackendSession({
+  name: 'guest',
+  label: 'Guest Provider',
+  metaKey: SESSION_META_KEY,
+  endpoints: { refresh: ENDPOINTS.refresh, logout: ENDPOINTS.logout },
+  isEnabled: isGuestEnabled,
+  buildSession,
+  toMeta: session => ({
+    provider_id: session.provider_id,
+    user: session.user || null,
+    guest_expires_at: session.guest_expires_at
+  }),
+  // anonymousSessionDuration is a hard limit; the guest must start over
+  isUsable: metaOrSession => !isGuestExpired(metaOrSession)
+})
+
+const guestAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'guest',
+      isAnonymous: true
+    }
+  },
+
+  ...backendSession.methods,
+
+  async startAnonymousSession() {
+    if (!isGuestEnabled()) {
+      throw new Error('Guest provider is not enabled')
+    }
+
+    const { data } = await axios.post(ENDPOINTS.start, {
+      // The backend may shorten this, never extend it
+      duration: getGuestDurationSeconds()
+    }, {
+      withCredentials: true,
+      timeout: getTimeout('authRequest'),
+      _skipAuth: true,
+      _noRetry: true
+    })
+
+    if (!data?.access_token) {
+      throw new Error('Guest session response did not include an access token')
+    }
+
+    const guestExpiresAt = nowSeconds() + Math.min(
+      data.session_expires_in || getGuestDurationSeconds(),
+      getGuestDurationSeconds()
+    )
+
+    return buildSession(data, { guest_expires_at: guestExpiresAt })
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('Guest sessions are upgraded by signing in with another provider.')
+  },
+
+  getMetadata() {
+    return {
+      name: 'guest',
+      displayName: 'Guest',
+      icon: 'mdi-incognito',
+      widget: null,
+      requiresDialog: false,
+      configured: isGuestEnabled(),
+      supportsAnonymous: true,
+      isAnonymousOnly: true
+    }
+  }
+}
+
+registerAuthProvider('guest', guestAuthProvider)
+
+export default guestAuthProvider
@@ -1,7 +1,11 @@
 import { registerAuthProvider } from '../../authProviders.js'
 import { v4 as uuidv4 } from 'uuid'
 import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { authConfig } from '../../../config/auth.js'
+import { signLocalToken, verifyLocalToken, getLocalPublicKeyJwk } from './signing.js'
+import { readStoredJson, writeStoredJson, removeStoredItem } from '../../../storage/index.js'
 
+const SESSION_KEY = 'local_anonymous_session'
 
 function isLocalEnabled() {
   const config = getAuthClientConfig() || {}
@@ -9,6 +13,47 @@ function isLocalEnabled() {
   return providers.includes('local')
 }
 
+// Session lifetime in Unix seconds from now, driven by anonymousSessionDuration
+function getSessionExpiry() {
+  const duration = authConfig.anonymousSessionDuration || 24 * 60 * 60 * 1000
+  return Math.floor((Date.now() + duration) / 1000)
+}
+
+// Re-sign the session's token with a fresh expiry (the token is the source of truth)
+async function issueToken(session) {
+  const expiresAt = getSessionExpiry()
+  const token = await signLocalToken({
+    iss: 'jskit-auth-local',
+    sub: session.provider_id,
+    is_anonymous: true,
+    iat: Math.floor(Date.now() / 1000),
+    exp: expiresAt
+  })
+
+  return {
+    ...session,
+    access_token: token,
+    token: token,
+    expires_at: expiresAt
+  }
+}
+
+// Only trust sessions whose token was signed by this browser's key and whose
+// stored identity matches the signed subject. Expired tokens are rejected
+// unless `allowExpired` is set for renewal.
+async function readVerifiedSession({ allowExpired = false } = {}) {
+  const session = await readStoredJson(SESSION_KEY, 'Local Provider')
+  if (!session) return null
+
+  const payload = await verifyLocalToken(session.access_token, { allowExpired })
+  if (!payload || payload.sub !== session.provider_id || payload.sub !== session.user?.id) {
+    await removeStoredItem(SESSION_KEY, 'Local Provider')
+    return null
+  }
+
+  return { ...session, expires_at: payload.exp }
+}
+
 // Local anonymous session provider - no backend required
 const localAuthProvider = {
   // Normalize session to standard format
@@ -25,30 +70,24 @@ const localAuthProvider = {
     }
   },
 
-  // Get stored session from localStorage
+  // Get stored session from the configured auth storage
   async getStoredSession() {
     try {
-      const stored = localStorage.getItem('local_anonymous_session')
-      if (!stored) return null
-
-      const session = JSON.parse(stored)
-
-      // Check if expired
-      if (session.expires_at && session.expires_at < Math.floor(Date.now() / 1000)) {
-        localStorage.removeItem('local_anonymous_session')
-        return null
-      }
-
-      return session
+      return await readVerifiedSession()
     } catch (error) {
       console.error('[Local Provider] Failed to get stored session:', error)
       return null
     }
   },
 
-  // Sign out - just clear local storage
+  // Sign out - just clear the stored session
   async signOut() {
-    localStorage.removeItem('local_anonymous_session')
+    await removeStoredItem(SESSION_KEY, 'Local Provider')
+  },
+
+  // Called after the guest was upgraded to a real account
+  async discardSession() {
+    await removeStoredItem(SESSION_KEY, 'Local Provider')
   },
 
   // Start anonymous session - creates a local-only session
@@ -56,11 +95,8 @@ const localAuthProvider = {
     console.log('[Local Provider] Creating local anonymous session...')
 
     const userId = uuidv4()
-    const token = btoa(`local-anon-${userId}-${Date.now()}`) // Simple local token
 
-    const session = {
-      access_token: token,
-      token: token,
+    const session = await issueToken({
       provider: 'local',
       provider_id: userId,  // Provider ID at root level
       user: {
@@ -70,12 +106,11 @@ const localAuthProvider = {
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       },
-      expires_at: Math.floor(Date.now() / 1000) + 24 * 60 * 60, // 24 hours in Unix seconds
       _provider: 'local'
-    }
+    })
 
-    // Store in localStorage
-    localStorage.setItem('local_anonymous_session', JSON.stringify(session))
+    // Persist through the configured auth storage
+    await writeStoredJson(SESSION_KEY, session, 'Local Provider')
 
     console.log('[Local Provider] Local anonymous session created:', session.user.id)
     return session
@@ -84,14 +119,13 @@ const localAuthProvider = {
   // Handle token expiry - for local sessions, just extend
   async handleTokenExpiry(userStore, originalRequest) {
     try {
-      const stored = localStorage.getItem('local_anonymous_session')
-      if (!stored) return null
+      // The token is usually expired by now; renew it rather than drop the guest
+      const current = await readVerifiedSession({ allowExpired: true })
+      if (!current) return null
 
-      const session = JSON.parse(stored)
-
-      // Extend expiry
-      session.expires_at = Math.floor(Date.now() / 1000) + 24 * 60 * 60
-      localStorage.setItem('local_anonymous_session', JSON.stringify(session))
+      // Extend expiry with a freshly signed token
+      const session = await issueToken(current)
+      await writeStoredJson(SESSION_KEY, session, 'Local Provider')
 
       await userStore.setSession(session, 'local')
 
@@ -109,15 +143,21 @@ const localAuthProvider = {
   async refreshSession(currentSession) {
     if (!currentSession) return null
 
-    currentSession.expires_at = Math.floor(Date.now() / 1000) + 24 * 60 * 60
-    localStorage.setItem('local_anonymous_session', JSON.stringify(currentSession))
+    const session = await issueToken(currentSession.raw || currentSession)
+    await writeStoredJson(SESSION_KEY, session, 'Local Provider')
+
+    return session
+  },
 
-    return currentSession
+  // Public JWK of the signing key, for backends that accept local guest identities
+  async getPublicKey() {
+    return getLocalPublicKeyJwk()
   },
 
-  // Convert anonymous to permanent - not supported for local
+  // Convert anonymous to permanent - not supported for local; signing in with any
+  // provider upgrades the guest instead (see linking/anonymousUpgrade.js)
   async convertAnonymousAccount(email, password, metadata) {
-    throw new Error('Local anonymous sessions cannot be converted. Please create a new account.')
+    throw new Error('Local anonymous sessions cannot be converted directly. Sign in or create an account to keep your guest data.')
   },
 
   // Get metadata
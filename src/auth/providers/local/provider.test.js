@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { configureAuthClient, resetAuthClientConfig } from '../../../runtimeConfig.js'
+import { readStoredJson, writeStoredJson } from '../../../storage/index.js'
+import { signLocalToken, verifyLocalToken } from './signing.js'
+import localAuthProvider from './provider.js'
+
+const SESSION_KEY = 'local_anonymous_session'
+const HOUR = 60 * 60 * 1000
+
+// Stand-in for the user store: records what the provider hands it
+function createUserStore() {
+  return {
+    sessions: [],
+    async setSession(session, provider) {
+      this.sessions.push({ session, provider })
+      return true
+    }
+  }
+}
+
+async function storeExpiredGuest() {
+  const session = await localAuthProvider.startAnonymousSession()
+  const expiredAt = Math.floor(Date.now() / 1000) - 60
+  const token = await signLocalToken({ iss: 'jskit-auth-local', sub: session.provider_id, is_anonymous: true, exp: expiredAt })
+  await writeStoredJson(SESSION_KEY, { ...session, access_token: token, token, expires_at: expiredAt })
+  return session
+}
+
+beforeEach((t) => {
+  // No IndexedDB or localStorage in Node: the key and session live in memory
+  t.mock.method(console, 'warn', () => {})
+  t.mock.method(console, 'log', () => {})
+  configureAuthClient({
+    providers: ['local'],
+    defaultProvider: 'local',
+    storage: { backend: 'memory' },
+    anonymousSessionDuration: 2 * HOUR
+  })
+})
+
+afterEach(() => {
+  resetAuthClientConfig()
+})
+
+test('startAnonymousSession signs a token that expires after anonymousSessionDuration', async () => {
+  const session = await localAuthProvider.startAnonymousSession()
+
+  const payload = await verifyLocalToken(session.access_token)
+  assert.equal(payload.sub, session.provider_id)
+  assert.ok(Math.abs(payload.exp - (Date.now() + 2 * HOUR) / 1000) < 5)
+  assert.deepEqual(await localAuthProvider.getStoredSession(), { ...session, expires_at: payload.exp })
+})
+
+test('getStoredSession does not restore an expired guest', async () => {
+  await storeExpiredGuest()
+
+  assert.equal(await localAuthProvider.getStoredSession(), null)
+})
+
+test('handleTokenExpiry renews an expired guest instead of dropping it', async () => {
+  const guest = await storeExpiredGuest()
+  const userStore = createUserStore()
+  const request = { headers: {} }
+
+  const result = await localAuthProvider.handleTokenExpiry(userStore, request)
+
+  assert.equal(result, request)
+  const [{ session, provider }] = userStore.sessions
+  assert.equal(provider, 'local')
+  assert.equal(session.provider_id, guest.provider_id)
+  assert.ok(session.expires_at > (Date.now() + HOUR) / 1000)
+  assert.equal(request.headers.Authorization, `Bearer ${session.access_token}`)
+  assert.equal((await readStoredJson(SESSION_KEY)).access_token, session.access_token)
+})
+
+test('handleTokenExpiry drops a session whose token this browser did not sign', async () => {
+  const guest = await localAuthProvider.startAnonymousSession()
+  await writeStoredJson(SESSION_KEY, { ...guest, access_token: 'forged.token.value' })
+
+  const result = await localAuthProvider.handleTokenExpiry(createUserStore(), { headers: {} })
+
+  assert.equal(result, null)
+  assert.equal(await readStoredJson(SESSION_KEY), null)
+})
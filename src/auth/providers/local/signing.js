@@ -0,0 +1,134 @@
+import { base64UrlEncode, base64UrlDecode } from '../../jwt.js'
+import { KEY_STORE, isIndexedDbAvailable, withObjectStore } from '../../../storage/indexedDb.js'
+
+/**
+ * ES256 signing for local anonymous sessions.
+ *
+ * The P-256 key pair is generated once with WebCrypto. The private key is
+ * non-extractable and is persisted as a CryptoKey in IndexedDB, so script on
+ * the page can use it to sign but can never read the key material. The public
+ * key is exported as a JWK for backends that want to accept these guests.
+ */
+const KEY_ID = 'local-anonymous-es256'
+
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' }
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' }
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+let keyPairPromise = null
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle
+  if (!subtle) {
+    throw new Error('WebCrypto is not available (signed local sessions require a secure context)')
+  }
+  return subtle
+}
+
+async function computeKeyId(publicKey) {
+  // RFC 7638 thumbprint: required members in lexicographic order
+  const { crv, kty, x, y } = await getSubtle().exportKey('jwk', publicKey)
+  const canonical = JSON.stringify({ crv, kty, x, y })
+  const digest = await getSubtle().digest('SHA-256', textEncoder.encode(canonical))
+  return base64UrlEncode(digest)
+}
+
+async function loadOrCreateKeyPair() {
+  const subtle = getSubtle()
+  const hasIndexedDb = isIndexedDbAvailable()
+
+  if (hasIndexedDb) {
+    try {
+      const stored = await withObjectStore(KEY_STORE, 'readonly', store => store.get(KEY_ID))
+      if (stored?.privateKey && stored?.publicKey) {
+        return stored
+      }
+    } catch (error) {
+      console.warn('[Local Signing] Failed to read key pair from IndexedDB:', error)
+    }
+  }
+
+  const generated = await subtle.generateKey(ALGORITHM, false, ['sign', 'verify'])
+  const keyPair = {
+    privateKey: generated.privateKey,
+    publicKey: generated.publicKey,
+    kid: await computeKeyId(generated.publicKey)
+  }
+
+  if (hasIndexedDb) {
+    try {
+      await withObjectStore(KEY_STORE, 'readwrite', store => store.put(keyPair, KEY_ID))
+    } catch (error) {
+      // Sessions still work for this page load; they just won't verify after a reload
+      console.warn('[Local Signing] Failed to persist key pair; using an in-memory key:', error)
+    }
+  } else {
+    console.warn('[Local Signing] IndexedDB unavailable; using an in-memory key')
+  }
+
+  return keyPair
+}
+
+function getKeyPair() {
+  if (!keyPairPromise) {
+    keyPairPromise = loadOrCreateKeyPair().catch((error) => {
+      keyPairPromise = null
+      throw error
+    })
+  }
+  return keyPairPromise
+}
+
+export async function signLocalToken(payload) {
+  const { privateKey, kid } = await getKeyPair()
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'ES256', typ: 'JWT', kid }))
+  const body = base64UrlEncode(JSON.stringify(payload))
+  const signingInput = `${header}.${body}`
+
+  // WebCrypto ECDSA already returns the raw r||s form JWS expects
+  const signature = await getSubtle().sign(SIGN_ALGORITHM, privateKey, textEncoder.encode(signingInput))
+  return `${signingInput}.${base64UrlEncode(signature)}`
+}
+
+/**
+ * Returns the payload when the token was signed by this browser's key and
+ * has not expired, otherwise null. `allowExpired` skips the expiry check for
+ * callers that are about to re-sign the token.
+ */
+export async function verifyLocalToken(token, { allowExpired = false } = {}) {
+  if (typeof token !== 'string') return null
+
+  const parts = token.split('.')
+  if (parts.length !== 3) return null
+
+  try {
+    const header = JSON.parse(textDecoder.decode(base64UrlDecode(parts[0])))
+    const { publicKey, kid } = await getKeyPair()
+    if (header.alg !== 'ES256' || header.kid !== kid) return null
+
+    const valid = await getSubtle().verify(
+      SIGN_ALGORITHM,
+      publicKey,
+      base64UrlDecode(parts[2]),
+      textEncoder.encode(`${parts[0]}.${parts[1]}`)
+    )
+    if (!valid) return null
+
+    const payload = JSON.parse(textDecoder.decode(base64UrlDecode(parts[1])))
+    if (!allowExpired && payload.exp && payload.exp < Math.floor(Date.now() / 1000)) return null
+
+    return payload
+  } catch (error) {
+    console.warn('[Local Signing] Token verification failed:', error)
+    return null
+  }
+}
+
+export async function getLocalPublicKeyJwk() {
+  const { publicKey, kid } = await getKeyPair()
+  const { crv, kty, x, y } = await getSubtle().exportKey('jwk', publicKey)
+  return { kty, crv, x, y, kid, alg: 'ES256', use: 'sig' }
+}
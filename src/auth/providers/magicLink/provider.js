@@ -0,0 +1,181 @@
+import axios from 'axios'
+import { registerAuthProvider } from '../../authProviders.js'
+import { createBackendSession, createPendingRequest, buildBackendSession } from '../../backendSession.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { authConfig, getTimeout, getErrorMessage, checkRateLimit } from '../../../config/auth.js'
+
+const SESSION_META_KEY = 'magic_link_session_meta'
+const PENDING_KEY = 'magic_link_pending'
+
+const ENDPOINTS = {
+  request: '/api/auth/magic-link/request',
+  verify: '/api/auth/magic-link/verify',
+  refresh: '/api/auth/magic-link/refresh',
+  logout: '/api/auth/magic-link/logout'
+}
+
+function getMagicLinkSettings() {
+  return getAuthClientConfig().magicLink || {}
+}
+
+function isMagicLinkEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  return providers.includes('magicLink')
+}
+
+const backendSession = createBackendSession({
+  name: 'magicLink',
+  label: 'Magic Link Provider',
+  metaKey: SESSION_META_KEY,
+  endpoints: { refresh: ENDPOINTS.refresh, logout: ENDPOINTS.logout },
+  isEnabled: isMagicLinkEnabled
+})
+
+// The pending request survives a reload so the code step and cooldown persist
+const pendingRequest = createPendingRequest({
+  key: PENDING_KEY,
+  label: 'Magic Link Provider',
+  rateLimitKey: 'magicLink'
+})
+
+function createMagicLinkError(code, fallback) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
+}
+
+function mapBackendError(error) {
+  const data = error?.response?.data || {}
+  const code = data.error || data.code
+
+  if (code && authConfig.errorHandling?.messages?.[code]) {
+    return createMagicLinkError(code)
+  }
+
+  const status = error?.response?.status
+  if (status === 400 || status === 401) {
+    return createMagicLinkError('MAGIC_LINK_INVALID')
+  }
+  if (status === 429) return createMagicLinkError('RATE_LIMIT')
+  if (error?.code === 'ECONNABORTED') return createMagicLinkError('TIMEOUT')
+  if (!error?.response) return createMagicLinkError('NETWORK_ERROR')
+
+  return createMagicLinkError(code || 'UNKNOWN_ERROR', data.message)
+}
+
+async function verify(payload) {
+  try {
+    const { data } = await axios.post(ENDPOINTS.verify, payload, {
+      withCredentials: true,
+      timeout: getTimeout('authRequest'),
+      _skipAuth: true,
+      _noRetry: true
+    })
+    pendingRequest.clear()
+    return buildBackendSession('magicLink', data)
+  } catch (error) {
+    throw mapBackendError(error)
+  }
+}
+
+const magicLinkAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'magicLink',
+      isAnonymous: false
+    }
+  },
+
+  ...backendSession.methods,
+
+  ...pendingRequest.methods,
+
+  async requestSignIn(email, { redirect = null } = {}) {
+    if (magicLinkAuthProvider.getResendCooldown() > 0 || !checkRateLimit('magicLink')) {
+      throw createMagicLinkError('RATE_LIMIT')
+    }
+
+    const settings = getMagicLinkSettings()
+    const callbackUrl = new URL(settings.callbackUrl || '/auth/callback', window.location.origin)
+    if (redirect) {
+      callbackUrl.searchParams.set('redirect', redirect)
+    }
+
+    try {
+      const { data } = await axios.post(ENDPOINTS.request, {
+        email,
+        redirect_to: callbackUrl.toString(),
+        channel: settings.channel || 'link_and_code'
+      }, {
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true,
+        _noRetry: true
+      })
+
+      pendingRequest.persist({
+        email,
+        requestedAt: Date.now(),
+        expiresAt: data?.expires_in ? Date.now() + data.expires_in * 1000 : null
+      })
+      return data || {}
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  async verifyCode(email, code) {
+    return verify({ email, code: String(code).trim() })
+  },
+
+  async verifyToken(token) {
+    return verify({ token })
+  },
+
+  isRedirectCallback(url = window.location.href) {
+    return new URL(url, window.location.origin).searchParams.has('token')
+  },
+
+  async handleRedirectCallback(url = window.location.href) {
+    const params = new URL(url, window.location.origin).searchParams
+    const session = await magicLinkAuthProvider.verifyToken(params.get('token'))
+    return {
+      session,
+      mode: 'login',
+      redirect: params.get('redirect')
+    }
+  },
+
+  async signOut(options = {}) {
+    pendingRequest.clear()
+    return backendSession.methods.signOut(options)
+  },
+
+  async startAnonymousSession() {
+    throw new Error('Magic link does not support anonymous sessions')
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('Magic link does not support anonymous account conversion')
+  },
+
+  getMetadata() {
+    return {
+      name: 'magicLink',
+      displayName: 'Email link',
+      icon: 'mdi-email-fast-outline',
+      widget: () => import('./MagicLinkAuthWidget.vue'),
+      requiresDialog: false,
+      configured: isMagicLinkEnabled(),
+      supportsLinking: false,
+      codeLength: getMagicLinkSettings().codeLength || 6
+    }
+  }
+}
+
+registerAuthProvider('magicLink', magicLinkAuthProvider)
+
+export default magicLinkAuthProvider
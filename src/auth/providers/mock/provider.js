@@ -0,0 +1,260 @@
+import { registerAuthProvider } from '../../authProviders.js'
+import { getAuthClientConfig, isProductionBuild } from '../../../runtimeConfig.js'
+import { authConfig } from '../../../config/auth.js'
+import { base64UrlEncode } from '../../jwt.js'
+import { getFlowStorage } from '../../../storage/index.js'
+
+/**
+ * Backend-free provider for local development and Storybook.
+ *
+ * configureAuthClient({
+ *   providers: ['mock'],
+ *   defaultProvider: 'mock',
+ *   mock: {
+ *     personas: [
+ *       { id: 'admin', name: 'Ada Admin', email: 'ada@example.test', roles: ['admin'] },
+ *       { id: 'user', name: 'Uma User', email: 'uma@example.test' },
+ *       { id: 'guest', name: 'Guest', anonymous: true }
+ *     ],
+ *     defaultPersona: 'user'
+ *   }
+ * })
+ *
+ * Sessions carry unsigned (alg "none") JWT-shaped tokens built from the
+ * persona. Production builds refuse the provider unless mock.force is set.
+ */
+const PERSONA_KEY = 'mock_auth_persona'
+const TOKEN_LIFETIME = 60 * 60
+
+function getMockSettings() {
+  return getAuthClientConfig().mock || null
+}
+
+function isMockEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  const settings = getMockSettings()
+  if (!providers.includes('mock') || !settings?.personas?.length) return false
+  return !isProductionBuild() || settings.force === true
+}
+
+function getPersonas() {
+  return getMockSettings()?.personas || []
+}
+
+function findPersona(id) {
+  return getPersonas().find(persona => persona.id === id) || null
+}
+
+// The whole persona is stored so converted/ad-hoc personas survive a reload.
+// Returns undefined when nothing was chosen yet and null after a sign-out.
+function loadStoredPersona() {
+  try {
+    const stored = getFlowStorage().getItem(PERSONA_KEY)
+    return stored ? JSON.parse(stored) : undefined
+  } catch (error) {
+    return undefined
+  }
+}
+
+function persistPersona(persona) {
+  try {
+    getFlowStorage().setItem(PERSONA_KEY, JSON.stringify(persona))
+  } catch (error) {
+    console.warn('[Mock Provider] Failed to persist persona:', error)
+  }
+}
+
+// Mirrors debug.mockLatency so loading states can be exercised
+function simulateLatency() {
+  const latency = authConfig.debug?.mockLatency || 0
+  return latency > 0 ? new Promise(resolve => setTimeout(resolve, latency)) : Promise.resolve()
+}
+
+function createMockToken(persona, issuedAt, expiresAt) {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'none', typ: 'JWT' }))
+  const payload = base64UrlEncode(JSON.stringify({
+    iss: 'jskit-auth-mock',
+    aud: 'authenticated',
+    sub: persona.id,
+    email: persona.email || undefined,
+    name: persona.name,
+    roles: persona.roles || [],
+    is_anonymous: persona.anonymous === true,
+    iat: issuedAt,
+    exp: expiresAt
+  }))
+  return `${header}.${payload}.mock`
+}
+
+function buildUser(persona) {
+  return {
+    id: persona.id,
+    email: persona.email,
+    name: persona.name,
+    picture: persona.avatar_url || null,
+    roles: persona.roles || [],
+    is_anonymous: persona.anonymous === true,
+    user_metadata: {
+      name: persona.name,
+      avatar_url: persona.avatar_url || null
+    }
+  }
+}
+
+function buildSession(persona) {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const expiresAt = issuedAt + TOKEN_LIFETIME
+
+  return {
+    access_token: createMockToken(persona, issuedAt, expiresAt),
+    refresh_token: null,
+    expires_in: TOKEN_LIFETIME,
+    expires_at: expiresAt,
+    token_type: 'Bearer',
+    provider: 'mock',
+    provider_id: persona.id,
+    user: buildUser(persona),
+    is_anonymous: persona.anonymous === true,
+    persona_id: persona.id,
+    _provider: 'mock'
+  }
+}
+
+function activatePersona(persona) {
+  persistPersona(persona)
+  return buildSession(persona)
+}
+
+const mockAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'mock',
+      isAnonymous: rawSession.is_anonymous === true
+    }
+  },
+
+  async getStoredSession() {
+    if (!isMockEnabled()) return null
+
+    const stored = loadStoredPersona()
+    if (stored) {
+      return buildSession(findPersona(stored.id) || stored)
+    }
+
+    // defaultPersona only applies to a fresh tab, not after an explicit sign-out
+    if (stored === null) return null
+
+    const defaultPersona = findPersona(getMockSettings().defaultPersona)
+    return defaultPersona ? activatePersona(defaultPersona) : null
+  },
+
+  getPersonas() {
+    return getPersonas()
+  },
+
+  async signInAsPersona(personaId) {
+    if (!isMockEnabled()) {
+      throw new Error('Mock provider is not enabled')
+    }
+
+    const persona = findPersona(personaId)
+    if (!persona) {
+      throw new Error(`Unknown mock persona '${personaId}'`)
+    }
+
+    await simulateLatency()
+    return activatePersona(persona)
+  },
+
+  // Served to userState.fetchProfile instead of GET /api/auth/me
+  async getProfile(session) {
+    const persona = findPersona(session?.persona_id) || loadStoredPersona()
+    if (!persona) return null
+
+    await simulateLatency()
+
+    return {
+      user: {
+        id: persona.id,
+        email: persona.email,
+        name: persona.name,
+        avatar_url: persona.avatar_url || null,
+        roles: persona.roles || [],
+        ...(persona.profile || {})
+      },
+      linked_providers: persona.linked_providers || { mock: persona.id },
+      provider: 'mock',
+      provider_id: persona.id
+    }
+  },
+
+  // Nothing to refresh against; re-issue only when the fake token really expired
+  async handleTokenExpiry(userStore, originalRequest) {
+    const current = userStore.normalizedSession
+    if (!current?.persona_id || current.expires_at > Math.floor(Date.now() / 1000)) {
+      return null
+    }
+
+    const persona = findPersona(current.persona_id) || loadStoredPersona()
+    if (!persona) return null
+
+    const session = buildSession(persona)
+    await userStore.setSession(session, 'mock')
+
+    originalRequest.headers['Authorization'] = `Bearer ${session.access_token}`
+    originalRequest.headers['X-Auth-Provider'] = 'mock'
+    return originalRequest
+  },
+
+  async refreshSession(currentSession) {
+    const persona = findPersona(currentSession?.persona_id) || loadStoredPersona()
+    return persona ? buildSession(persona) : null
+  },
+
+  async signOut() {
+    persistPersona(null)
+    return true
+  },
+
+  async startAnonymousSession() {
+    const persona = getPersonas().find(candidate => candidate.anonymous)
+    if (!isMockEnabled() || !persona) {
+      throw new Error('No anonymous mock persona is configured')
+    }
+
+    await simulateLatency()
+    return activatePersona(persona)
+  },
+
+  async convertAnonymousAccount(email, password, metadata = {}) {
+    await simulateLatency()
+
+    return activatePersona({
+      id: `mock-${email.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      name: metadata.name || email,
+      email,
+      roles: [],
+      anonymous: false
+    })
+  },
+
+  getMetadata() {
+    return {
+      name: 'mock',
+      displayName: 'Test persona',
+      icon: 'mdi-account-switch',
+      widget: () => import('./MockPersonaPicker.vue'),
+      requiresDialog: false,
+      configured: isMockEnabled(),
+      supportsLinking: false
+    }
+  }
+}
+
+registerAuthProvider('mock', mockAuthProvider)
+
+export default mockAuthProvider
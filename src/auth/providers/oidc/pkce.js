@@ -0,0 +1,23 @@
+import { base64UrlEncode } from '../../jwt.js'
+
+export function generateRandomString(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength)
+  crypto.getRandomValues(bytes)
+  return base64UrlEncode(bytes)
+}
+
+export async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+  return base64UrlEncode(digest)
+}
+
+// RFC 7636: verifier is 43-128 chars; 64 random bytes encode to 86
+export async function createPkcePair() {
+  const codeVerifier = generateRandomString(64)
+  const codeChallenge = await createCodeChallenge(codeVerifier)
+  return {
+    codeVerifier,
+    codeChallenge,
+    codeChallengeMethod: 'S256'
+  }
+}
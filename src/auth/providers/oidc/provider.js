@@ -0,0 +1,577 @@
+import axios from 'axios'
+import { storeToRefs } from 'pinia'
+import { registerAuthProvider } from '../../authProviders.js'
+import { getCsrfHeaders } from '../../backendSession.js'
+import { normalizeOidcSession } from '../../normalizers/oidc.js'
+import { decodeJwtPayload } from '../../jwt.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { getTimeout } from '../../../config/auth.js'
+import { createPkcePair, generateRandomString } from './pkce.js'
+import { readStoredJson, writeStoredJson, removeStoredItem, getFlowStorage } from '../../../storage/index.js'
+
+const SESSION_KEY = 'oidc_session'
+const TRANSACTION_PREFIX = 'oidc_transaction:'
+const TRANSACTION_MAX_AGE = 10 * 60 * 1000
+const CLOCK_SKEW_SECONDS = 300
+const POLL_INTERVAL = 250
+const POPUP_TIMEOUT = 5 * 60 * 1000
+
+
+let discoveryPromise = null
+let discoveryIssuer = null
+let renewPromise = null
+
+function getOidcSettings() {
+  return getAuthClientConfig().oidc || {}
+}
+
+function isOidcEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  const oidc = config.oidc || {}
+  return providers.includes('oidc') && !!oidc.issuer && !!oidc.clientId
+}
+
+function getRedirectUri() {
+  return getOidcSettings().redirectUri || `${window.location.origin}/auth/callback`
+}
+
+// The session follows storage.backend; PKCE transactions are tab-scoped flow state
+function readFlowJson(key) {
+  try {
+    const stored = getFlowStorage().getItem(key)
+    return stored ? JSON.parse(stored) : null
+  } catch (error) {
+    console.warn(`[OIDC Provider] Failed to read ${key}:`, error)
+    getFlowStorage().removeItem(key)
+    return null
+  }
+}
+
+function writeFlowJson(key, value) {
+  try {
+    getFlowStorage().setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.warn(`[OIDC Provider] Failed to persist ${key}:`, error)
+  }
+}
+
+function loadSession() {
+  return readStoredJson(SESSION_KEY, 'OIDC Provider')
+}
+
+function persistSession(session) {
+  return writeStoredJson(SESSION_KEY, session, 'OIDC Provider')
+}
+
+function clearSession() {
+  return removeStoredItem(SESSION_KEY, 'OIDC Provider')
+}
+
+function saveTransaction(state, transaction) {
+  writeFlowJson(`${TRANSACTION_PREFIX}${state}`, transaction)
+}
+
+function takeTransaction(state) {
+  const key = `${TRANSACTION_PREFIX}${state}`
+  const transaction = readFlowJson(key)
+  getFlowStorage().removeItem(key)
+  if (!transaction) return null
+  if (Date.now() - transaction.createdAt > TRANSACTION_MAX_AGE) {
+    return null
+  }
+  return transaction
+}
+
+function createOidcError(code, description) {
+  const error = new Error(description || code || 'OIDC request failed')
+  error.code = code || 'oidc_error'
+  return error
+}
+
+// WHY: IdP endpoints are called with fetch, not axios - the auth interceptor
+// would otherwise attach our bearer token and X-Request-ID headers, which leaks
+// the token to the IdP and breaks CORS on most token endpoints
+async function fetchJson(url, options = {}) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+  const timer = controller
+    ? setTimeout(() => controller.abort(), getTimeout('authRequest'))
+    : null
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller?.signal
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok || data.error) {
+      throw createOidcError(data.error || `http_${response.status}`, data.error_description)
+    }
+    return data
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw createOidcError('timeout', 'OIDC request timed out')
+    }
+    throw error
+  } finally {
+    if (timer) clearTimeout(timer)
+  }
+}
+
+export async function getDiscoveryDocument() {
+  const { issuer } = getOidcSettings()
+  if (!issuer) {
+    throw createOidcError('config_error', 'OIDC issuer is not configured')
+  }
+
+  if (!discoveryPromise || discoveryIssuer !== issuer) {
+    discoveryIssuer = issuer
+    discoveryPromise = fetchJson(`${issuer}/.well-known/openid-configuration`)
+      .then((document) => {
+        if (document.issuer && document.issuer.replace(/\/+$/, '') !== issuer) {
+          throw createOidcError('issuer_mismatch', `Discovery issuer ${document.issuer} does not match ${issuer}`)
+        }
+        if (!document.authorization_endpoint || !document.token_endpoint) {
+          throw createOidcError('invalid_discovery', 'Discovery document is missing required endpoints')
+        }
+        return document
+      })
+      .catch((error) => {
+        discoveryPromise = null
+        throw error
+      })
+  }
+
+  return discoveryPromise
+}
+
+async function requestTokens(params) {
+  const discovery = await getDiscoveryDocument()
+  const { clientId } = getOidcSettings()
+
+  return fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: clientId, ...params }).toString()
+  })
+}
+
+// Signature verification is the backend's job (it validates against the JWKS);
+// the client only checks the claims that protect against replay and mix-up
+function validateIdTokenClaims(claims, nonce) {
+  const { issuer, clientId } = getOidcSettings()
+  if (!claims) {
+    throw createOidcError('invalid_id_token', 'ID token could not be decoded')
+  }
+
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+  const now = Math.floor(Date.now() / 1000)
+
+  if (claims.iss?.replace(/\/+$/, '') !== issuer) {
+    throw createOidcError('invalid_id_token', 'ID token issuer mismatch')
+  }
+  if (!audience.includes(clientId)) {
+    throw createOidcError('invalid_id_token', 'ID token audience mismatch')
+  }
+  if (claims.exp && claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw createOidcError('invalid_id_token', 'ID token has expired')
+  }
+  if (nonce && claims.nonce !== nonce) {
+    throw createOidcError('invalid_id_token', 'ID token nonce mismatch')
+  }
+}
+
+async function fetchUserInfo(accessToken) {
+  const discovery = await getDiscoveryDocument()
+  if (!discovery.userinfo_endpoint) return null
+
+  try {
+    return await fetchJson(discovery.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    })
+  } catch (error) {
+    console.warn('[OIDC Provider] Failed to load userinfo:', error)
+    return null
+  }
+}
+
+async function buildSession(tokens, previous = null) {
+  const expiresIn = Number(tokens.expires_in) || 3600
+  const idToken = tokens.id_token || previous?.id_token || null
+  let claims = decodeJwtPayload(idToken) || previous?.claims || null
+
+  if (!claims?.email && tokens.access_token) {
+    const userInfo = await fetchUserInfo(tokens.access_token)
+    if (userInfo) {
+      claims = { ...(claims || {}), ...userInfo }
+    }
+  }
+
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token || previous?.refresh_token || null,
+    id_token: idToken,
+    expires_in: expiresIn,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    token_type: tokens.token_type || 'Bearer',
+    scope: tokens.scope || previous?.scope || null,
+    provider: 'oidc',
+    provider_id: claims?.sub || previous?.provider_id || null,
+    claims,
+    _provider: 'oidc'
+  }
+}
+
+async function createAuthorizationRequest({ prompt, mode = 'login', redirect = null, redirectUri, loginHint } = {}) {
+  const discovery = await getDiscoveryDocument()
+  const settings = getOidcSettings()
+  const { codeVerifier, codeChallenge, codeChallengeMethod } = await createPkcePair()
+  const state = generateRandomString(16)
+  const nonce = generateRandomString(16)
+  const targetRedirectUri = redirectUri || getRedirectUri()
+
+  saveTransaction(state, {
+    codeVerifier,
+    nonce,
+    redirectUri: targetRedirectUri,
+    mode,
+    redirect,
+    createdAt: Date.now()
+  })
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: settings.clientId,
+    redirect_uri: targetRedirectUri,
+    scope: (settings.scopes || ['openid']).join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod
+  })
+
+  if (prompt) params.set('prompt', prompt)
+  if (loginHint) params.set('login_hint', loginHint)
+  if (settings.audience) params.set('audience', settings.audience)
+
+  return {
+    url: `${discovery.authorization_endpoint}?${params.toString()}`,
+    state
+  }
+}
+
+function matchesRedirectUri(href, redirectUri) {
+  try {
+    const current = new URL(href)
+    const expected = new URL(redirectUri)
+    return current.origin === expected.origin && current.pathname === expected.pathname
+  } catch (error) {
+    return false
+  }
+}
+
+// WHY: Popups and silent-renew iframes land back on our own origin, so their
+// location becomes readable - polling avoids needing a dedicated callback page
+function waitForRedirect(getWindow, redirectUri, { timeout, isClosed }) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now()
+
+    const timer = setInterval(() => {
+      if (isClosed?.()) {
+        clearInterval(timer)
+        reject(createOidcError('popup_closed', 'Sign-in window was closed'))
+        return
+      }
+
+      if (Date.now() - startedAt > timeout) {
+        clearInterval(timer)
+        reject(createOidcError('timeout', 'Sign-in did not complete in time'))
+        return
+      }
+
+      try {
+        const href = getWindow()?.location?.href
+        if (href && matchesRedirectUri(href, redirectUri)) {
+          clearInterval(timer)
+          resolve(href)
+        }
+      } catch (error) {
+        // Still on the IdP origin - keep waiting
+      }
+    }, POLL_INTERVAL)
+  })
+}
+
+function parseCallbackParams(url) {
+  const parsed = new URL(url, window.location.origin)
+  const params = new URLSearchParams(parsed.search)
+  if (!params.get('state') && parsed.hash) {
+    const fragment = new URLSearchParams(parsed.hash.slice(1))
+    for (const [key, value] of fragment) {
+      params.set(key, value)
+    }
+  }
+  return params
+}
+
+async function completeAuthorization(url) {
+  const params = parseCallbackParams(url)
+  const state = params.get('state')
+  const transaction = state ? takeTransaction(state) : null
+
+  if (!transaction) {
+    throw createOidcError('invalid_state', 'No matching sign-in request was found. Please try again.')
+  }
+
+  const error = params.get('error')
+  if (error) {
+    throw createOidcError(error, params.get('error_description'))
+  }
+
+  const code = params.get('code')
+  if (!code) {
+    throw createOidcError('invalid_callback', 'Authorization code missing from callback')
+  }
+
+  const tokens = await requestTokens({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: transaction.redirectUri,
+    code_verifier: transaction.codeVerifier
+  })
+
+  validateIdTokenClaims(decodeJwtPayload(tokens.id_token), transaction.nonce)
+
+  const session = await buildSession(tokens)
+  return { session, transaction }
+}
+
+async function renewWithIframe() {
+  const settings = getOidcSettings()
+  const redirectUri = settings.silentRedirectUri || getRedirectUri()
+  const { url } = await createAuthorizationRequest({ prompt: 'none', mode: 'silent', redirectUri })
+
+  const iframe = document.createElement('iframe')
+  iframe.style.display = 'none'
+  iframe.setAttribute('aria-hidden', 'true')
+  iframe.src = url
+  document.body.appendChild(iframe)
+
+  try {
+    const href = await waitForRedirect(
+      () => iframe.contentWindow,
+      redirectUri,
+      { timeout: getTimeout('tokenRefresh') }
+    )
+    const { session } = await completeAuthorization(href)
+    return session
+  } finally {
+    iframe.remove()
+  }
+}
+
+async function renewTokens(currentSession) {
+  if (renewPromise) return renewPromise
+
+  renewPromise = (async () => {
+    const previous = currentSession || await loadSession()
+    let session
+
+    if (previous?.refresh_token) {
+      const tokens = await requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: previous.refresh_token
+      })
+      if (tokens.id_token) {
+        validateIdTokenClaims(decodeJwtPayload(tokens.id_token))
+      }
+      session = await buildSession(tokens, previous)
+    } else if (getOidcSettings().silentRenew !== false && typeof document !== 'undefined') {
+      session = await renewWithIframe()
+    } else {
+      throw createOidcError('login_required', 'Session cannot be renewed without signing in again')
+    }
+
+    await persistSession(session)
+    return session
+  })()
+
+  try {
+    return await renewPromise
+  } finally {
+    renewPromise = null
+  }
+}
+
+function isExpired(session) {
+  return !!session?.expires_at && session.expires_at <= Math.floor(Date.now() / 1000)
+}
+
+const oidcAuthProvider = {
+  normalizeSession(rawSession) {
+    return normalizeOidcSession(rawSession)
+  },
+
+  async getStoredSession() {
+    if (!isOidcEnabled()) return null
+
+    const session = await loadSession()
+    if (!session) return null
+
+    if (!isExpired(session)) {
+      return session
+    }
+
+    try {
+      return await renewTokens(session)
+    } catch (error) {
+      console.warn('[OIDC Provider] Stored session renewal failed:', error)
+      await clearSession()
+      return null
+    }
+  },
+
+  async handleTokenExpiry(userStore, originalRequest) {
+    try {
+      const { normalizedSession } = storeToRefs(userStore)
+      const session = await renewTokens(normalizedSession.value?.raw || await loadSession())
+
+      await userStore.setSession(session, 'oidc')
+
+      originalRequest.headers['Authorization'] = `Bearer ${session.access_token}`
+      originalRequest.headers['X-Auth-Provider'] = 'oidc'
+      return originalRequest
+    } catch (error) {
+      console.error('OIDC token refresh failed:', error)
+      await clearSession()
+      return null
+    }
+  },
+
+  async refreshSession(currentSession) {
+    if (!currentSession) return null
+    return renewTokens(currentSession.raw || currentSession)
+  },
+
+  async signInWithRedirect({ redirect = null, loginHint } = {}) {
+    const { url } = await createAuthorizationRequest({ mode: 'login', redirect, loginHint })
+    window.location.assign(url)
+  },
+
+  // The popup is opened before any await so browsers treat it as user-initiated
+  async signInWithPopup({ mode = 'login', loginHint } = {}) {
+    const popup = window.open('', 'oidc-sign-in', 'width=500,height=650')
+    if (!popup) {
+      throw createOidcError('popup_blocked', 'The sign-in popup was blocked by the browser')
+    }
+
+    try {
+      const { url } = await createAuthorizationRequest({
+        mode,
+        loginHint,
+        prompt: mode === 'link' ? 'login' : undefined
+      })
+      popup.location.href = url
+
+      const href = await waitForRedirect(
+        () => popup,
+        getRedirectUri(),
+        { timeout: POPUP_TIMEOUT, isClosed: () => popup.closed }
+      )
+      const { session } = await completeAuthorization(href)
+
+      if (mode !== 'link') {
+        await persistSession(session)
+      }
+      return session
+    } finally {
+      if (!popup.closed) popup.close()
+    }
+  },
+
+  isRedirectCallback(url = window.location.href) {
+    const params = parseCallbackParams(url)
+    const state = params.get('state')
+    return !!state && !!getFlowStorage().getItem(`${TRANSACTION_PREFIX}${state}`)
+  },
+
+  async handleRedirectCallback(url = window.location.href) {
+    const { session, transaction } = await completeAuthorization(url)
+    if (transaction.mode !== 'link') {
+      await persistSession(session)
+    }
+    return {
+      session,
+      mode: transaction.mode,
+      redirect: transaction.redirect
+    }
+  },
+
+  async completeRedirectLink(session) {
+    return oidcAuthProvider.linkAccount(session.id_token)
+  },
+
+  async linkAccount(idToken) {
+    await axios.post('/api/auth/oidc/link', {
+      id_token: idToken
+    }, {
+      withCredentials: true,
+      headers: getCsrfHeaders()
+    })
+
+    return true
+  },
+
+  async signOut() {
+    const session = await loadSession()
+    await clearSession()
+
+    const { postLogoutRedirectUri } = getOidcSettings()
+    if (!postLogoutRedirectUri || !session?.id_token) {
+      return true
+    }
+
+    try {
+      const discovery = await getDiscoveryDocument()
+      if (discovery.end_session_endpoint) {
+        const params = new URLSearchParams({
+          id_token_hint: session.id_token,
+          post_logout_redirect_uri: postLogoutRedirectUri,
+          client_id: getOidcSettings().clientId
+        })
+        window.location.assign(`${discovery.end_session_endpoint}?${params.toString()}`)
+      }
+    } catch (error) {
+      console.warn('[OIDC Provider] RP-initiated logout failed:', error)
+    }
+
+    return true
+  },
+
+  async startAnonymousSession() {
+    throw new Error('OIDC does not support anonymous sessions')
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('OIDC does not support anonymous account conversion')
+  },
+
+  getMetadata() {
+    const settings = getOidcSettings()
+
+    return {
+      name: 'oidc',
+      displayName: settings.displayName || 'Single Sign-On',
+      icon: 'mdi-shield-key-outline',
+      widget: () => import('./OidcAuthWidget.vue'),
+      requiresDialog: false,
+      configured: isOidcEnabled(),
+      supportsLinking: true,
+      uxMode: settings.uxMode || 'redirect'
+    }
+  }
+}
+
+registerAuthProvider('oidc', oidcAuthProvider)
+
+export default oidcAuthProvider
@@ -0,0 +1,167 @@
+import axios from 'axios'
+import { registerAuthProvider } from '../../authProviders.js'
+import { createBackendSession, buildBackendSession, getCsrfHeaders } from '../../backendSession.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { getTimeout } from '../../../config/auth.js'
+import {
+  isPasskeySupported,
+  toCreationOptions,
+  toRequestOptions,
+  serializeCredential
+} from './webauthn.js'
+
+const SESSION_META_KEY = 'passkey_session_meta'
+
+const ENDPOINTS = {
+  registerOptions: '/api/auth/passkey/register/options',
+  registerVerify: '/api/auth/passkey/register/verify',
+  loginOptions: '/api/auth/passkey/login/options',
+  loginVerify: '/api/auth/passkey/login/verify',
+  refresh: '/api/auth/passkey/refresh',
+  logout: '/api/auth/passkey/logout'
+}
+
+function getPasskeySettings() {
+  return getAuthClientConfig().passkey || {}
+}
+
+function isPasskeyEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  return providers.includes('passkey') && isPasskeySupported()
+}
+
+const backendSession = createBackendSession({
+  name: 'passkey',
+  label: 'Passkey Provider',
+  metaKey: SESSION_META_KEY,
+  endpoints: { refresh: ENDPOINTS.refresh, logout: ENDPOINTS.logout },
+  isEnabled: isPasskeyEnabled
+})
+
+function mapWebAuthnError(error) {
+  if (error?.name === 'NotAllowedError') {
+    const mapped = new Error('The passkey request was cancelled or timed out.')
+    mapped.code = 'cancelled'
+    return mapped
+  }
+  if (error?.name === 'InvalidStateError') {
+    const mapped = new Error('This device already has a passkey for your account.')
+    mapped.code = 'already_registered'
+    return mapped
+  }
+  const message = error?.response?.data?.message || error?.response?.data?.error || error?.message
+  const mapped = new Error(message || 'Passkey authentication failed.')
+  mapped.code = error?.response?.data?.error || error?.code || 'auth_failed'
+  return mapped
+}
+
+const passkeyAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'passkey',
+      isAnonymous: false
+    }
+  },
+
+  ...backendSession.methods,
+
+  async signIn({ email } = {}) {
+    try {
+      const { data: options } = await axios.post(ENDPOINTS.loginOptions, email ? { email } : {}, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true
+      })
+
+      const credential = await navigator.credentials.get({
+        publicKey: toRequestOptions(options.publicKey || options)
+      })
+
+      const { data } = await axios.post(ENDPOINTS.loginVerify, {
+        credential: serializeCredential(credential),
+        challenge_id: options.challenge_id
+      }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true
+      })
+
+      return buildBackendSession('passkey', data)
+    } catch (error) {
+      throw mapWebAuthnError(error)
+    }
+  },
+
+  // Creates a new account when called signed-out; with link=true the backend
+  // attaches the credential to the user identified by the current bearer token,
+  // so only linking sends it
+  async register({ email, name, link = false } = {}) {
+    try {
+      const { data: options } = await axios.post(ENDPOINTS.registerOptions, {
+        email,
+        name,
+        link
+      }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        headers: link ? getCsrfHeaders() : undefined,
+        _skipAuth: !link
+      })
+
+      const credential = await navigator.credentials.create({
+        publicKey: toCreationOptions(options.publicKey || options)
+      })
+
+      const { data } = await axios.post(ENDPOINTS.registerVerify, {
+        credential: serializeCredential(credential),
+        challenge_id: options.challenge_id,
+        link
+      }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        headers: link ? getCsrfHeaders() : undefined,
+        _skipAuth: !link
+      })
+
+      return link ? data : buildBackendSession('passkey', data)
+    } catch (error) {
+      throw mapWebAuthnError(error)
+    }
+  },
+
+  async linkAccount() {
+    await passkeyAuthProvider.register({ link: true })
+    return true
+  },
+
+  async startAnonymousSession() {
+    throw new Error('Passkeys do not support anonymous sessions')
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('Passkeys do not support anonymous account conversion')
+  },
+
+  getMetadata() {
+    const settings = getPasskeySettings()
+
+    return {
+      name: 'passkey',
+      displayName: 'Passkey',
+      icon: 'mdi-fingerprint',
+      widget: () => import('./PasskeyAuthWidget.vue'),
+      requiresDialog: false,
+      configured: isPasskeyEnabled(),
+      supportsLinking: true,
+      allowRegistration: settings.allowRegistration !== false
+    }
+  }
+}
+
+registerAuthProvider('passkey', passkeyAuthProvider)
+
+export default passkeyAuthProvider
@@ -0,0 +1,88 @@
+import { base64UrlDecode, base64UrlEncode } from '../../jwt.js'
+
+export function isPasskeySupported() {
+  return typeof window !== 'undefined' &&
+    typeof window.PublicKeyCredential === 'function' &&
+    !!navigator.credentials?.create &&
+    !!navigator.credentials?.get
+}
+
+export async function isPlatformAuthenticatorAvailable() {
+  if (!isPasskeySupported()) return false
+  try {
+    return await window.PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable()
+  } catch (error) {
+    return false
+  }
+}
+
+function toBuffer(value) {
+  return base64UrlDecode(value).buffer
+}
+
+function toDescriptor(descriptor) {
+  return {
+    ...descriptor,
+    id: toBuffer(descriptor.id)
+  }
+}
+
+// Backends send WebAuthn options as JSON with base64url-encoded binary fields
+export function toCreationOptions(json) {
+  if (typeof window.PublicKeyCredential.parseCreationOptionsFromJSON === 'function') {
+    return window.PublicKeyCredential.parseCreationOptionsFromJSON(json)
+  }
+
+  return {
+    ...json,
+    challenge: toBuffer(json.challenge),
+    user: {
+      ...json.user,
+      id: toBuffer(json.user.id)
+    },
+    excludeCredentials: (json.excludeCredentials || []).map(toDescriptor)
+  }
+}
+
+export function toRequestOptions(json) {
+  if (typeof window.PublicKeyCredential.parseRequestOptionsFromJSON === 'function') {
+    return window.PublicKeyCredential.parseRequestOptionsFromJSON(json)
+  }
+
+  return {
+    ...json,
+    challenge: toBuffer(json.challenge),
+    allowCredentials: (json.allowCredentials || []).map(toDescriptor)
+  }
+}
+
+export function serializeCredential(credential) {
+  if (typeof credential.toJSON === 'function') {
+    return credential.toJSON()
+  }
+
+  const response = credential.response
+  const serialized = {
+    id: credential.id,
+    rawId: base64UrlEncode(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || null,
+    clientExtensionResults: credential.getClientExtensionResults?.() || {},
+    response: {
+      clientDataJSON: base64UrlEncode(response.clientDataJSON)
+    }
+  }
+
+  if (response.attestationObject) {
+    serialized.response.attestationObject = base64UrlEncode(response.attestationObject)
+    serialized.response.transports = response.getTransports?.() || []
+  }
+
+  if (response.authenticatorData) {
+    serialized.response.authenticatorData = base64UrlEncode(response.authenticatorData)
+    serialized.response.signature = base64UrlEncode(response.signature)
+    serialized.response.userHandle = response.userHandle ? base64UrlEncode(response.userHandle) : null
+  }
+
+  return serialized
+}
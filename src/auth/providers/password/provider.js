@@ -0,0 +1,224 @@
+import axios from 'axios'
+import { registerAuthProvider } from '../../authProviders.js'
+import { createBackendSession, buildBackendSession, getCsrfHeaders } from '../../backendSession.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { authConfig, getTimeout, getErrorMessage, checkRateLimit } from '../../../config/auth.js'
+
+const SESSION_META_KEY = 'password_session_meta'
+
+const ENDPOINTS = {
+  signIn: '/api/auth/password/signin',
+  signUp: '/api/auth/password/signup',
+  forgot: '/api/auth/password/forgot',
+  reset: '/api/auth/password/reset',
+  link: '/api/auth/password/link',
+  refresh: '/api/auth/password/refresh',
+  logout: '/api/auth/password/logout'
+}
+
+function isPasswordEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  return providers.includes('password')
+}
+
+const backendSession = createBackendSession({
+  name: 'password',
+  label: 'Password Provider',
+  metaKey: SESSION_META_KEY,
+  endpoints: { refresh: ENDPOINTS.refresh, logout: ENDPOINTS.logout },
+  isEnabled: isPasswordEnabled
+})
+
+function createPasswordError(code, fallback) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
+}
+
+// Backend errors carry an UPPER_SNAKE code matching authConfig messages
+function mapBackendError(error) {
+  const data = error?.response?.data || {}
+  const code = data.error || data.code
+
+  if (code && authConfig.errorHandling?.messages?.[code]) {
+    return createPasswordError(code)
+  }
+
+  const status = error?.response?.status
+  if (status === 401) return createPasswordError('INVALID_CREDENTIALS')
+  if (status === 409) return createPasswordError('EMAIL_EXISTS')
+  if (status === 429) return createPasswordError('RATE_LIMIT')
+  if (error?.code === 'ECONNABORTED') return createPasswordError('TIMEOUT')
+  if (!error?.response) return createPasswordError('NETWORK_ERROR')
+
+  return createPasswordError(code || 'UNKNOWN_ERROR', data.message)
+}
+
+function ensureRateLimit(action) {
+  if (!checkRateLimit(action)) {
+    throw createPasswordError('RATE_LIMIT')
+  }
+}
+
+export function getPasswordPolicy() {
+  return {
+    minLength: authConfig.passwordMinLength || 8,
+    requireStrong: authConfig.requireStrongPassword !== false
+  }
+}
+
+// Strong = mixed case plus a digit; the backend enforces the same rule
+export function validatePassword(password) {
+  const { minLength, requireStrong } = getPasswordPolicy()
+  const errors = []
+  const value = password || ''
+
+  if (value.length < minLength) {
+    errors.push(`Use at least ${minLength} characters.`)
+  }
+
+  if (requireStrong) {
+    if (!/[a-z]/.test(value) || !/[A-Z]/.test(value)) {
+      errors.push('Mix upper and lower case letters.')
+    }
+    if (!/\d/.test(value)) {
+      errors.push('Include at least one number.')
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  }
+}
+
+const passwordAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'password',
+      isAnonymous: false
+    }
+  },
+
+  ...backendSession.methods,
+
+  async signIn(email, password) {
+    ensureRateLimit('login')
+
+    try {
+      const { data } = await axios.post(ENDPOINTS.signIn, { email, password }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true,
+        _noRetry: true
+      })
+      return buildBackendSession('password', data)
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  // Returns a session, or null when the backend requires email confirmation first
+  async signUp(email, password, metadata = {}) {
+    const { valid } = validatePassword(password)
+    if (!valid) {
+      throw createPasswordError('WEAK_PASSWORD')
+    }
+
+    ensureRateLimit('signup')
+
+    try {
+      const { data } = await axios.post(ENDPOINTS.signUp, { email, password, ...metadata }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true,
+        _noRetry: true
+      })
+      return data?.access_token ? buildBackendSession('password', data) : null
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  async requestPasswordReset(email, redirectTo = null) {
+    ensureRateLimit('passwordReset')
+
+    try {
+      await axios.post(ENDPOINTS.forgot, {
+        email,
+        redirect_to: redirectTo || `${window.location.origin}/login`
+      }, {
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true,
+        _noRetry: true
+      })
+      return true
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  async resetPassword(token, password) {
+    const { valid } = validatePassword(password)
+    if (!valid) {
+      throw createPasswordError('WEAK_PASSWORD')
+    }
+
+    try {
+      await axios.post(ENDPOINTS.reset, { token, password }, {
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true,
+        _noRetry: true
+      })
+      return true
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  async linkAccount(email, password) {
+    const { valid } = validatePassword(password)
+    if (!valid) {
+      throw createPasswordError('WEAK_PASSWORD')
+    }
+
+    try {
+      await axios.post(ENDPOINTS.link, { email, password }, {
+        withCredentials: true,
+        headers: getCsrfHeaders()
+      })
+      return true
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  async startAnonymousSession() {
+    throw new Error('Password provider does not support anonymous sessions')
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('Password provider does not support anonymous account conversion')
+  },
+
+  getMetadata() {
+    return {
+      name: 'password',
+      displayName: 'Email & Password',
+      icon: 'mdi-form-textbox-password',
+      widget: () => import('../../../components/plain/PasswordAuthForm.vue'),
+      vuetifyWidget: () => import('../../../components/vue/PasswordAuthForm.vue'),
+      requiresDialog: false,
+      configured: isPasswordEnabled(),
+      supportsLinking: true
+    }
+  }
+}
+
+registerAuthProvider('password', passwordAuthProvider)
+
+export default passwordAuthProvider
@@ -0,0 +1,235 @@
+import axios from 'axios'
+import { registerAuthProvider } from '../../authProviders.js'
+import { createBackendSession, createPendingRequest, buildBackendSession, getCsrfHeaders } from '../../backendSession.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { authConfig, getTimeout, getErrorMessage, checkRateLimit } from '../../../config/auth.js'
+
+const SESSION_META_KEY = 'phone_session_meta'
+const PENDING_KEY = 'phone_otp_pending'
+
+const ENDPOINTS = {
+  request: '/api/auth/phone/request',
+  verify: '/api/auth/phone/verify',
+  link: '/api/auth/phone/link',
+  refresh: '/api/auth/phone/refresh',
+  logout: '/api/auth/phone/logout'
+}
+
+// E.164: leading +, country code cannot start with 0, at most 15 digits
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/
+
+export function isValidE164(value) {
+  return typeof value === 'string' && E164_PATTERN.test(value)
+}
+
+/**
+ * Turn user input ("+44 20 7946 0958", "0044 ...", "(415) 555-2671") into
+ * E.164. Numbers without a country prefix get phone.defaultCountryCode.
+ * Returns null when the result is not a valid E.164 number.
+ */
+export function normalizePhoneNumber(input) {
+  if (typeof input !== 'string') return null
+
+  let value = input.trim().replace(/[\s().-]/g, '')
+  if (value.startsWith('00')) {
+    value = `+${value.slice(2)}`
+  }
+
+  if (!value.startsWith('+')) {
+    const countryCode = getPhoneSettings().defaultCountryCode
+    if (!countryCode) return null
+    value = `${countryCode.startsWith('+') ? countryCode : `+${countryCode}`}${value.replace(/^0+/, '')}`
+  }
+
+  return isValidE164(value) ? value : null
+}
+
+function getPhoneSettings() {
+  return getAuthClientConfig().phone || {}
+}
+
+function isPhoneEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  return providers.includes('phone')
+}
+
+const backendSession = createBackendSession({
+  name: 'phone',
+  label: 'Phone Provider',
+  metaKey: SESSION_META_KEY,
+  endpoints: { refresh: ENDPOINTS.refresh, logout: ENDPOINTS.logout },
+  isEnabled: isPhoneEnabled
+})
+
+// A reload returns to the code step with the same cooldown
+const pendingRequest = createPendingRequest({
+  key: PENDING_KEY,
+  label: 'Phone Provider',
+  rateLimitKey: 'phoneOtp',
+  resendCooldown: () => getPhoneSettings().resendCooldown || authConfig.rateLimiting?.resendCooldown || 0
+})
+
+function createPhoneError(code, fallback) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
+}
+
+function mapBackendError(error) {
+  const data = error?.response?.data || {}
+  const code = data.error || data.code
+
+  if (code && authConfig.errorHandling?.messages?.[code]) {
+    return createPhoneError(code)
+  }
+
+  const status = error?.response?.status
+  if (status === 400 || status === 401) {
+    return createPhoneError('PHONE_CODE_INVALID')
+  }
+  if (status === 409) return createPhoneError('PHONE_EXISTS')
+  if (status === 422) return createPhoneError('PHONE_INVALID')
+  if (status === 429) return createPhoneError('RATE_LIMIT')
+  if (error?.code === 'ECONNABORTED') return createPhoneError('TIMEOUT')
+  if (!error?.response) return createPhoneError('NETWORK_ERROR')
+
+  return createPhoneError(code || 'UNKNOWN_ERROR', data.message)
+}
+
+function requirePhoneNumber(input) {
+  const phone = normalizePhoneNumber(input)
+  if (!phone) {
+    throw createPhoneError('PHONE_INVALID')
+  }
+  return phone
+}
+
+const phoneAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'phone',
+      isAnonymous: false
+    }
+  },
+
+  ...backendSession.methods,
+
+  ...pendingRequest.methods,
+
+  /**
+   * Send a one-time code by SMS. `intent: 'link'` asks the backend to attach
+   * the number to the signed-in account instead of signing in with it.
+   */
+  async requestCode(phoneInput, { intent = 'login' } = {}) {
+    const phone = requirePhoneNumber(phoneInput)
+
+    if (phoneAuthProvider.getResendCooldown() > 0 || !checkRateLimit('phoneOtp')) {
+      throw createPhoneError('RATE_LIMIT')
+    }
+
+    const isLink = intent === 'link'
+
+    try {
+      const { data } = await axios.post(ENDPOINTS.request, {
+        phone,
+        intent,
+        channel: getPhoneSettings().channel || 'sms'
+      }, {
+        withCredentials: isLink,
+        timeout: getTimeout('authRequest'),
+        headers: isLink ? getCsrfHeaders() : undefined,
+        // A sign-in code request has no account yet; linking needs the bearer token
+        _skipAuth: !isLink,
+        _noRetry: true
+      })
+
+      pendingRequest.persist({
+        phone,
+        intent,
+        requestedAt: Date.now(),
+        expiresAt: data?.expires_in ? Date.now() + data.expires_in * 1000 : null
+      })
+      return { phone, ...(data || {}) }
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  async verifyCode(phoneInput, code) {
+    const phone = requirePhoneNumber(phoneInput)
+
+    try {
+      const { data } = await axios.post(ENDPOINTS.verify, {
+        phone,
+        code: String(code).trim()
+      }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true,
+        _noRetry: true
+      })
+      pendingRequest.clear()
+      return buildBackendSession('phone', data)
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  // Attach a verified number to the current account (AccountLinking, mode="link")
+  async linkAccount(phoneInput, code) {
+    const phone = requirePhoneNumber(phoneInput)
+
+    try {
+      await axios.post(ENDPOINTS.link, {
+        phone,
+        code: String(code).trim()
+      }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        headers: getCsrfHeaders(),
+        _noRetry: true
+      })
+      pendingRequest.clear()
+      return true
+    } catch (error) {
+      throw mapBackendError(error)
+    }
+  },
+
+  async signOut(options = {}) {
+    pendingRequest.clear()
+    return backendSession.methods.signOut(options)
+  },
+
+  async startAnonymousSession() {
+    throw new Error('Phone sign-in does not support anonymous sessions')
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('Phone sign-in does not support anonymous account conversion')
+  },
+
+  getMetadata() {
+    const settings = getPhoneSettings()
+
+    return {
+      name: 'phone',
+      displayName: 'Phone number',
+      icon: 'mdi-cellphone-message',
+      widget: () => import('./PhoneAuthWidget.vue'),
+      requiresDialog: false,
+      configured: isPhoneEnabled(),
+      supportsLinking: true,
+      codeLength: settings.codeLength || 6,
+      defaultCountryCode: settings.defaultCountryCode || null
+    }
+  }
+}
+
+registerAuthProvider('phone', phoneAuthProvider)
+
+export default phoneAuthProvider
@@ -0,0 +1,112 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import axios, { AxiosError } from 'axios'
+import { configureAuthClient, resetAuthClientConfig } from '../../../runtimeConfig.js'
+import phoneAuthProvider, { isValidE164, normalizePhoneNumber } from './provider.js'
+
+const defaultAdapter = axios.defaults.adapter
+
+// Stub backend: answers every axios request with handler(url, body) => { status, data }
+function stubBackend(handler) {
+  const requests = []
+  axios.defaults.adapter = async (config) => {
+    const body = config.data ? JSON.parse(config.data) : {}
+    requests.push({ url: config.url, body, config })
+
+    const { status = 200, data = {} } = handler(config.url, body) || {}
+    const response = { status, statusText: String(status), data, headers: {}, config, request: {} }
+    if (!config.validateStatus(status)) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, config, {}, response)
+    }
+    return response
+  }
+  return requests
+}
+
+beforeEach(() => {
+  configureAuthClient({
+    providers: ['phone'],
+    defaultProvider: 'phone',
+    phone: { defaultCountryCode: '+44' }
+  })
+  phoneAuthProvider.clearPendingRequest()
+})
+
+afterEach(() => {
+  axios.defaults.adapter = defaultAdapter
+  resetAuthClientConfig()
+})
+
+test('isValidE164 accepts only +, a non-zero country code and 7 to 15 digits', () => {
+  assert.equal(isValidE164('+14155552671'), true)
+  assert.equal(isValidE164('+442079460958'), true)
+  assert.equal(isValidE164('14155552671'), false)
+  assert.equal(isValidE164('+04155552671'), false)
+  assert.equal(isValidE164('+123456'), false)
+  assert.equal(isValidE164('+1234567890123456'), false)
+  assert.equal(isValidE164(null), false)
+})
+
+test('normalizePhoneNumber strips formatting and converts a 00 prefix', () => {
+  assert.equal(normalizePhoneNumber('+44 20 7946 0958'), '+442079460958')
+  assert.equal(normalizePhoneNumber('+1 (415) 555-2671'), '+14155552671')
+  assert.equal(normalizePhoneNumber('0044 20.7946.0958'), '+442079460958')
+})
+
+test('normalizePhoneNumber applies phone.defaultCountryCode and drops the trunk 0', () => {
+  assert.equal(normalizePhoneNumber('020 7946 0958'), '+442079460958')
+
+  configureAuthClient({ providers: ['phone'], defaultProvider: 'phone', phone: { defaultCountryCode: '1' } })
+  assert.equal(normalizePhoneNumber('(415) 555-2671'), '+14155552671')
+})
+
+test('normalizePhoneNumber returns null for numbers it cannot make E.164', () => {
+  assert.equal(normalizePhoneNumber('123'), null)
+  assert.equal(normalizePhoneNumber('+44 abc'), null)
+  assert.equal(normalizePhoneNumber(undefined), null)
+
+  configureAuthClient({ providers: ['phone'], defaultProvider: 'phone' })
+  assert.equal(normalizePhoneNumber('020 7946 0958'), null)
+})
+
+test('requestCode sends the normalised number and remembers the pending request', async () => {
+  const requests = stubBackend(() => ({ data: { expires_in: 300 } }))
+
+  const result = await phoneAuthProvider.requestCode('020 7946 0958')
+
+  assert.equal(requests.length, 1)
+  assert.equal(requests[0].url, '/api/auth/phone/request')
+  assert.deepEqual(requests[0].body, { phone: '+442079460958', intent: 'login', channel: 'sms' })
+  assert.equal(result.phone, '+442079460958')
+  assert.equal(phoneAuthProvider.getPendingRequest().phone, '+442079460958')
+  assert.ok(phoneAuthProvider.getResendCooldown() > 0)
+})
+
+test('requestCode rejects an invalid number without calling the backend', async () => {
+  const requests = stubBackend(() => ({}))
+
+  await assert.rejects(phoneAuthProvider.requestCode('123'), { code: 'PHONE_INVALID' })
+  assert.equal(requests.length, 0)
+})
+
+test('verifyCode exchanges the code for a phone session without sending a bearer token', async () => {
+  const requests = stubBackend(() => ({
+    data: { access_token: 'phone-token', expires_in: 900, provider_id: 'phone-user-1', user: { id: 'phone-user-1' } }
+  }))
+
+  const session = await phoneAuthProvider.verifyCode('+44 20 7946 0958', ' 123456 ')
+
+  assert.equal(requests[0].url, '/api/auth/phone/verify')
+  assert.deepEqual(requests[0].body, { phone: '+442079460958', code: '123456' })
+  assert.equal(requests[0].config._skipAuth, true)
+  assert.equal(session.access_token, 'phone-token')
+  assert.equal(session.provider, 'phone')
+  assert.equal(session.provider_id, 'phone-user-1')
+  assert.equal(phoneAuthProvider.getPendingRequest(), null)
+})
+
+test('verifyCode maps a rejected code to PHONE_CODE_INVALID', async () => {
+  stubBackend(() => ({ status: 401, data: {} }))
+
+  await assert.rejects(phoneAuthProvider.verifyCode('+442079460958', '000000'), { code: 'PHONE_CODE_INVALID' })
+})
@@ -0,0 +1,207 @@
+import axios from 'axios'
+import { registerAuthProvider } from '../../authProviders.js'
+import { createBackendSession, buildBackendSession } from '../../backendSession.js'
+import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { getTimeout, getErrorMessage } from '../../../config/auth.js'
+import { getFlowStorage } from '../../../storage/index.js'
+
+const SESSION_META_KEY = 'sso_session_meta'
+const PENDING_KEY = 'sso_pending_login'
+
+const ENDPOINTS = {
+  discover: '/api/auth/sso/discover',
+  start: '/api/auth/sso/start',
+  exchange: '/api/auth/sso/exchange',
+  refresh: '/api/auth/sso/refresh',
+  logout: '/api/auth/sso/logout'
+}
+
+function getSsoSettings() {
+  return getAuthClientConfig().sso || {}
+}
+
+function isSsoEnabled() {
+  const config = getAuthClientConfig() || {}
+  const providers = Array.isArray(config.providers) ? config.providers : []
+  return providers.includes('sso')
+}
+
+function normalizeEnterprise(raw) {
+  if (!raw) return null
+
+  const organization = raw.organization || {}
+  const connectionId = raw.connection_id || raw.connectionId || raw.connection?.id || null
+  if (!connectionId && !organization.name && !raw.organization_name) {
+    return null
+  }
+
+  return {
+    organization_id: organization.id || raw.organization_id || null,
+    organization_name: organization.name || raw.organization_name || null,
+    connection_id: connectionId,
+    protocol: raw.protocol || raw.connection?.protocol || null
+  }
+}
+
+function buildSession(data, meta = null) {
+  return {
+    ...buildBackendSession('sso', data, meta),
+    enterprise: normalizeEnterprise(data.enterprise || data) || meta?.enterprise || null
+  }
+}
+
+const backendSession = createBackendSession({
+  name: 'sso',
+  label: 'SSO Provider',
+  metaKey: SESSION_META_KEY,
+  endpoints: { refresh: ENDPOINTS.refresh, logout: ENDPOINTS.logout },
+  isEnabled: isSsoEnabled,
+  buildSession,
+  toMeta: session => ({
+    provider_id: session.provider_id,
+    user: session.user || null,
+    enterprise: session.enterprise || null
+  })
+})
+
+function createSsoError(code, fallback) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
+}
+
+const ssoAuthProvider = {
+  normalizeSession(rawSession) {
+    if (!rawSession) return null
+
+    return {
+      ...rawSession,
+      provider: 'sso',
+      enterprise: rawSession.enterprise || null,
+      isAnonymous: false
+    }
+  },
+
+  ...backendSession.methods,
+
+  // Home realm discovery: which enterprise connection owns this email domain?
+  async discover(email) {
+    try {
+      const { data } = await axios.post(ENDPOINTS.discover, { email }, {
+        timeout: getTimeout('authRequest'),
+        _noRetry: true
+      })
+
+      const connection = normalizeEnterprise(data)
+      if (!connection?.connection_id) {
+        throw createSsoError('SSO_NOT_CONFIGURED')
+      }
+      return connection
+    } catch (error) {
+      if (error.code === 'SSO_NOT_CONFIGURED' || error.response?.status === 404) {
+        throw createSsoError('SSO_NOT_CONFIGURED')
+      }
+      if (!error.response) throw createSsoError('NETWORK_ERROR')
+      throw createSsoError('UNKNOWN_ERROR', error.response?.data?.message)
+    }
+  },
+
+  // The backend runs the SAML/OIDC dance and returns to callbackUrl with ?sso_code=
+  startSignIn(connection, { email, redirect = null } = {}) {
+    const settings = getSsoSettings()
+    const callbackUrl = new URL(settings.callbackUrl || '/auth/callback', window.location.origin)
+
+    try {
+      getFlowStorage().setItem(PENDING_KEY, JSON.stringify({
+        connection,
+        redirect,
+        startedAt: Date.now()
+      }))
+    } catch (error) {
+      console.warn('[SSO Provider] Failed to persist pending login:', error)
+    }
+
+    const params = new URLSearchParams({
+      connection_id: connection.connection_id,
+      redirect_uri: callbackUrl.toString()
+    })
+    if (email) params.set('login_hint', email)
+
+    window.location.assign(`${ENDPOINTS.start}?${params.toString()}`)
+  },
+
+  isRedirectCallback(url = window.location.href) {
+    const params = new URL(url, window.location.origin).searchParams
+    return params.has('sso_code') || params.has('sso_error')
+  },
+
+  async handleRedirectCallback(url = window.location.href) {
+    const params = new URL(url, window.location.origin).searchParams
+    let pending = null
+    try {
+      pending = JSON.parse(getFlowStorage().getItem(PENDING_KEY) || 'null')
+      getFlowStorage().removeItem(PENDING_KEY)
+    } catch (error) {
+      pending = null
+    }
+
+    if (params.has('sso_error')) {
+      throw createSsoError('SSO_FAILED', params.get('sso_error_description') || params.get('sso_error'))
+    }
+
+    try {
+      const { data } = await axios.post(ENDPOINTS.exchange, {
+        code: params.get('sso_code')
+      }, {
+        withCredentials: true,
+        timeout: getTimeout('authRequest'),
+        _skipAuth: true,
+        _noRetry: true
+      })
+
+      const session = buildSession({
+        ...data,
+        enterprise: data.enterprise || pending?.connection
+      })
+
+      return {
+        session,
+        mode: 'login',
+        redirect: pending?.redirect || null
+      }
+    } catch (error) {
+      throw createSsoError('SSO_FAILED', error.response?.data?.message)
+    }
+  },
+
+  async startAnonymousSession() {
+    throw new Error('Enterprise SSO does not support anonymous sessions')
+  },
+
+  async convertAnonymousAccount() {
+    throw new Error('Enterprise SSO does not support anonymous account conversion')
+  },
+
+  getMetadata() {
+    const settings = getSsoSettings()
+
+    return {
+      name: 'sso',
+      displayName: settings.displayName || 'Company account',
+      icon: 'mdi-domain',
+      widget: () => import('./SsoAuthWidget.vue'),
+      requiresDialog: false,
+      configured: isSsoEnabled(),
+      // Organisation admins manage enterprise connections; users cannot link them
+      supportsLinking: false,
+      // Rendered by LoginElement as its own step rather than inline
+      loginStep: true,
+      callbackParams: ['sso_code', 'sso_error'],
+      isEnterprise: true
+    }
+  }
+}
+
+registerAuthProvider('sso', ssoAuthProvider)
+
+export default ssoAuthProvider
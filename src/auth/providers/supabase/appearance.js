@@ -0,0 +1,103 @@
+import { ThemeSupa } from '@supabase/auth-ui-shared'
+
+/**
+ * Appearance and copy for the Supabase Auth UI.
+ *
+ * Layers, last one wins:
+ *   DEFAULT_APPEARANCE            -> the library defaults
+ *   the widget's `appearance` prop -> e.g. colours derived from the Vuetify theme
+ *   supabase.appearance (config)  -> the app's explicit overrides
+ *
+ * `variables` follow the Auth UI shape ({ default: { colors, ... }, dark: {...} }).
+ * `localization.variables` follow the Auth UI shape too ({ sign_in: { email_label, ... } }).
+ */
+export const DEFAULT_APPEARANCE = {
+  style: {
+    button: { borderRadius: '8px' },
+    input: { borderRadius: '8px' },
+    container: { gap: '16px' }
+  },
+  variables: {
+    default: {
+      colors: {
+        brand: '#1976d2',
+        brandAccent: '#1565c0',
+        brandButtonText: 'white'
+      }
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function mergeDeep(target, source) {
+  if (!isPlainObject(source)) return target
+
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue
+    target[key] = isPlainObject(value) && isPlainObject(target[key])
+      ? mergeDeep({ ...target[key] }, value)
+      : value
+  }
+  return target
+}
+
+export function buildSupabaseAppearance(...layers) {
+  const merged = [DEFAULT_APPEARANCE, ...layers].reduce((result, layer) => mergeDeep(result, layer), {})
+  // The theme is an object from @supabase/auth-ui-shared and can't come from config
+  return { theme: ThemeSupa, ...merged }
+}
+
+export function buildSupabaseLocalization(...layers) {
+  const merged = layers.reduce((result, layer) => mergeDeep(result, layer), {})
+  return Object.keys(merged).length ? merged : undefined
+}
+
+/**
+ * Auth UI variables from a Vuetify theme (useTheme().current.value).
+ * Both variations get the same colours because the active theme already
+ * decides between light and dark.
+ */
+export function appearanceFromVuetifyTheme(theme) {
+  const colors = theme?.colors
+  if (!colors) return null
+
+  const onSurface = colors['on-surface']
+  const onSurfaceAlpha = alpha => (onSurface ? `rgba(${hexToRgb(onSurface)}, ${alpha})` : undefined)
+  const accent = colors['primary-darken-1'] || colors.primary
+
+  const variation = {
+    colors: {
+      brand: colors.primary,
+      brandAccent: accent,
+      brandButtonText: colors['on-primary'],
+      defaultButtonBackground: colors.surface,
+      defaultButtonBackgroundHover: colors['surface-variant'] || colors.surface,
+      defaultButtonBorder: onSurfaceAlpha(0.24),
+      defaultButtonText: onSurface,
+      inputBackground: colors.surface,
+      inputBorder: onSurfaceAlpha(0.38),
+      inputBorderHover: onSurfaceAlpha(0.6),
+      inputBorderFocus: colors.primary,
+      inputText: onSurface,
+      inputLabelText: onSurface,
+      inputPlaceholder: onSurfaceAlpha(0.6),
+      messageText: onSurface,
+      messageTextDanger: colors.error,
+      anchorTextColor: colors.primary,
+      anchorTextHoverColor: accent
+    }
+  }
+
+  return { variables: { default: variation, dark: variation } }
+}
+
+// Vuetify stores theme colours as #rrggbb
+function hexToRgb(hex) {
+  const value = String(hex).replace('#', '')
+  const full = value.length === 3 ? value.split('').map(char => char + char).join('') : value.slice(0, 6)
+  const number = parseInt(full, 16)
+  return `${(number >> 16) & 255}, ${(number >> 8) & 255}, ${number & 255}`
+}
@@ -1,6 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
-import { getAuthClientConfig } from '../../../runtimeConfig.js'
-import { resolveSupabaseStorage } from './storage.js'
+import { supabaseStorageAdapter } from './storage.js'
 
 const SUPABASE_STATE_KEY = '__JSKIT_SUPABASE_CLIENT_STATE__'
 
@@ -31,17 +30,13 @@ export function getSupabaseClient() {
 
   const signature = `${credentials.url}::${credentials.anonKey}`
 
-  const authClientConfig = getAuthClientConfig()
-  const storagePreference = authClientConfig.security?.tokenStorage || 'memory'
-  const storageAdapter = resolveSupabaseStorage(storagePreference)
-
   if (!state.cachedClient || state.cachedSignature !== signature) {
     state.cachedClient = createClient(credentials.url, credentials.anonKey, {
       auth: {
         autoRefreshToken: true,
         persistSession: true,
         detectSessionInUrl: true,
-        storage: storageAdapter
+        storage: supabaseStorageAdapter
       }
     })
     state.cachedSignature = signature
@@ -1,8 +1,20 @@
 import axios from 'axios'
 import { getSupabaseClient } from './client.js'
 import { registerAuthProvider } from '../../authProviders.js'
+import { getCsrfHeaders } from '../../backendSession.js'
 import { normalizeSupabaseSession } from '../../normalizers/supabase.js'
 import { getAuthClientConfig } from '../../../runtimeConfig.js'
+import { checkRateLimit, getErrorMessage } from '../../../config/auth.js'
+import { loadPendingLinkingSnapshot } from '../../../linking/sessionSnapshot.js'
+import { getFlowStorage } from '../../../storage/index.js'
+
+// Set while a password-recovery session is active so it never counts as a sign-in
+const RECOVERY_KEY = 'supabase_password_recovery'
+const RECOVERY_MAX_AGE = 60 * 60 * 1000
+const RECOVERY_MARKER = 'password_recovery'
+const DEFAULT_PASSWORD_RESET_PATH = '/auth/reset-password'
+
+let recoveryListener = null
 
 function isSupabaseEnabled() {
   const config = getAuthClientConfig() || {}
@@ -19,6 +31,102 @@ function getSupabaseSettings() {
   return getAuthClientConfig().supabase || {}
 }
 
+function createSupabaseError(code, fallback) {
+  const error = new Error(getErrorMessage(code, fallback))
+  error.code = code
+  return error
+}
+
+function markRecovery() {
+  try {
+    getFlowStorage().setItem(RECOVERY_KEY, String(Date.now()))
+  } catch (error) {
+    console.warn('[Supabase Provider] Failed to persist recovery state:', error)
+  }
+}
+
+function clearRecovery() {
+  try {
+    getFlowStorage().removeItem(RECOVERY_KEY)
+  } catch (error) {
+    // Ignore storage failures
+  }
+}
+
+function isRecoveryPending() {
+  try {
+    const startedAt = Number(getFlowStorage().getItem(RECOVERY_KEY))
+    if (!startedAt) return false
+    if (Date.now() - startedAt > RECOVERY_MAX_AGE) {
+      getFlowStorage().removeItem(RECOVERY_KEY)
+      return false
+    }
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Implicit-flow links carry type=recovery in the hash; PKCE links only keep
+// the marker we add to redirectTo. Checked before supabase-js strips the URL.
+function urlIndicatesRecovery(url) {
+  try {
+    const parsed = new URL(url)
+    const hash = new URLSearchParams(parsed.hash.replace(/^#/, ''))
+    return hash.get('type') === 'recovery' ||
+      parsed.searchParams.get('type') === 'recovery' ||
+      parsed.searchParams.has(RECOVERY_MARKER)
+  } catch (error) {
+    return false
+  }
+}
+
+function getPasswordResetUrl() {
+  const target = new URL(getSupabaseSettings().passwordResetUrl || DEFAULT_PASSWORD_RESET_PATH, window.location.origin)
+  target.searchParams.set(RECOVERY_MARKER, '1')
+  return target.toString()
+}
+
+// Recovery links opened on a page without the recovery component still flag the session
+function watchRecoveryEvents(supabase) {
+  if (recoveryListener) return
+  const { data } = supabase.auth.onAuthStateChange((event) => {
+    if (event === 'PASSWORD_RECOVERY') {
+      markRecovery()
+    }
+  })
+  recoveryListener = data?.subscription || null
+}
+
+// PKCE returns ?code= (OIDC callbacks always add state); implicit flow returns hash tokens
+function looksLikeSupabaseCallback(url) {
+  try {
+    const parsed = new URL(url, window.location.origin)
+    const hash = new URLSearchParams(parsed.hash.replace(/^#/, ''))
+    return (parsed.searchParams.has('code') && !parsed.searchParams.has('state')) ||
+      hash.has('access_token')
+  } catch (error) {
+    return false
+  }
+}
+
+function isPendingLink() {
+  return loadPendingLinkingSnapshot()?.provider === 'supabase'
+}
+
+// supabase-js strips the code/tokens from the URL while it initialises, which
+// can happen before the callback route mounts, so remember the original URL
+let initialCallbackUrl = null
+
+if (typeof window !== 'undefined') {
+  if (urlIndicatesRecovery(window.location.href)) {
+    markRecovery()
+  }
+  if (looksLikeSupabaseCallback(window.location.href)) {
+    initialCallbackUrl = window.location.href
+  }
+}
+
 const supabaseAuthProvider = {
   normalizeSession(rawSession) {
     return normalizeSupabaseSession(rawSession)
@@ -26,11 +134,19 @@ const supabaseAuthProvider = {
 
   async getStoredSession() {
     const supabase = ensureSupabaseClient()
+    watchRecoveryEvents(supabase)
     const { data: { session } } = await supabase.auth.getSession()
+
+    // Only the recovery route may use this session (to set a new password), and
+    // a session returned for account linking belongs to the callback route
+    if (session && (isRecoveryPending() || isPendingLink())) {
+      return null
+    }
     return session
   },
 
   async signOut() {
+    clearRecovery()
     const supabase = ensureSupabaseClient()
     await supabase.auth.signOut()
   },
@@ -38,11 +154,17 @@ const supabaseAuthProvider = {
   async handleTokenExpiry(userStore, originalRequest) {
     try {
       const supabase = ensureSupabaseClient()
-      const { data: { session }, error } = await supabase.auth.refreshSession()
 
-      if (error || !session) {
-        console.error('Supabase refresh failed:', error)
-        return null
+      // autoRefreshToken may already have rotated the token; reusing it avoids
+      // spending the refresh token twice
+      let { data: { session } } = await supabase.auth.getSession()
+      if (!session || session.access_token === userStore.token) {
+        const { data, error } = await supabase.auth.refreshSession()
+        if (error || !data?.session) {
+          console.error('Supabase refresh failed:', error)
+          return null
+        }
+        session = data.session
       }
 
       await userStore.setSession(session, 'supabase')
@@ -57,23 +179,238 @@ const supabaseAuthProvider = {
     }
   },
 
+  // Uses Supabase anonymous sign-ins (enable them in the project's auth settings)
+  async startAnonymousSession() {
+    if (!isSupabaseEnabled()) {
+      throw new Error('Supabase provider is not enabled')
+    }
+
+    const supabase = ensureSupabaseClient()
+    const { data, error } = await supabase.auth.signInAnonymously()
+
+    if (error) throw error
+    if (!data?.session) {
+      throw new Error('Supabase did not return an anonymous session')
+    }
+
+    data.session._provider = 'supabase'
+    return data.session
+  },
+
+  /**
+   * Link an email (and password) to the anonymous Supabase user; the user id
+   * stays the same. Supabase only accepts the password once the email is
+   * verified, so unconfirmed projects return the still-anonymous session with
+   * `pending_email_confirmation` set and the password must be set afterwards.
+   */
   async convertAnonymousAccount(email, password, metadata) {
     const supabase = ensureSupabaseClient()
     const { data, error } = await supabase.auth.updateUser({
       email,
-      password,
       data: metadata
     })
 
+    if (error) throw error
+
+    const emailConfirmed = !!data?.user?.email_confirmed_at && data.user.email === email
+    if (emailConfirmed && password) {
+      const { error: passwordError } = await supabase.auth.updateUser({ password })
+      if (passwordError) throw passwordError
+    }
+
+    // A fresh JWT carries the updated is_anonymous claim
+    const { data: refreshed, error: refreshError } = await supabase.auth.refreshSession()
+    if (refreshError) throw refreshError
+
+    const session = refreshed?.session
+    if (!session) {
+      throw new Error('Supabase did not return a session after conversion')
+    }
+
+    session._provider = 'supabase'
+    if (!emailConfirmed) {
+      session.pending_email_confirmation = true
+    }
+    return session
+  },
+
+  // { currentLevel, nextLevel } - nextLevel 'aal2' with currentLevel 'aal1'
+  // means the user has a verified factor and must complete a challenge
+  async getAuthenticatorAssuranceLevel() {
+    if (!isSupabaseEnabled()) return null
+
+    const supabase = ensureSupabaseClient()
+    const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel()
+    if (error) throw error
+    return data
+  },
+
+  async requiresMfa() {
+    const levels = await supabaseAuthProvider.getAuthenticatorAssuranceLevel()
+    return !!levels && levels.nextLevel === 'aal2' && levels.currentLevel !== 'aal2'
+  },
+
+  async listFactors() {
+    const supabase = ensureSupabaseClient()
+    const { data, error } = await supabase.auth.mfa.listFactors()
+    if (error) throw error
+    return {
+      all: data?.all || [],
+      totp: (data?.totp || []).filter(factor => factor.status === 'verified')
+    }
+  },
+
+  // Returns { id, totp: { qr_code, secret, uri } }; the factor stays
+  // unverified until verifyTotp succeeds with a code from the app
+  async enrollTotp(friendlyName) {
+    const supabase = ensureSupabaseClient()
+    const { data, error } = await supabase.auth.mfa.enroll({
+      factorType: 'totp',
+      friendlyName: friendlyName || undefined
+    })
     if (error) throw error
     return data
   },
 
+  async verifyTotp(factorId, code) {
+    const supabase = ensureSupabaseClient()
+    const { error } = await supabase.auth.mfa.challengeAndVerify({
+      factorId,
+      code: String(code).trim()
+    })
+    if (error) throw error
+
+    // The verified session (aal2) replaces the aal1 one inside supabase-js
+    const { data: { session } } = await supabase.auth.getSession()
+    if (session) {
+      session._provider = 'supabase'
+    }
+    return session
+  },
+
+  async unenrollFactor(factorId) {
+    const supabase = ensureSupabaseClient()
+    const { error } = await supabase.auth.mfa.unenroll({ factorId })
+    if (error) throw error
+
+    // Unenrolling can lower the assurance level; pick up the new token
+    const { data: { session } } = await supabase.auth.refreshSession()
+    if (session) {
+      session._provider = 'supabase'
+    }
+    return session
+  },
+
+  isRedirectCallback(url = window.location.href) {
+    if (looksLikeSupabaseCallback(url)) return true
+    if (!initialCallbackUrl) return false
+    const current = new URL(url, window.location.origin)
+    return current.pathname === new URL(initialCallbackUrl).pathname
+  },
+
+  async handleRedirectCallback(url = window.location.href) {
+    const callbackUrl = looksLikeSupabaseCallback(url) ? url : (initialCallbackUrl || url)
+    initialCallbackUrl = null
+
+    const params = new URL(callbackUrl, window.location.origin).searchParams
+    const supabase = ensureSupabaseClient()
+    watchRecoveryEvents(supabase)
+
+    // getSession waits for supabase-js to finish detectSessionInUrl
+    let { data: { session } } = await supabase.auth.getSession()
+    if (!session && params.has('code')) {
+      const { data, error } = await supabase.auth.exchangeCodeForSession(params.get('code'))
+      if (error) throw error
+      session = data?.session || null
+    }
+
+    if (session) {
+      session._provider = 'supabase'
+    }
+
+    if (isRecoveryPending()) {
+      return { session: null, mode: 'recovery', redirect: supabaseAuthProvider.getPasswordResetPath() }
+    }
+
+    return {
+      session,
+      mode: isPendingLink() ? 'link' : 'login',
+      redirect: params.get('redirect')
+    }
+  },
+
+  // The Supabase session only proves the identity; drop it once it's linked
+  async completeRedirectLink(session) {
+    try {
+      await supabaseAuthProvider.linkAccount(session.access_token)
+    } finally {
+      try {
+        await ensureSupabaseClient().auth.signOut({ scope: 'local' })
+      } catch (error) {
+        console.warn('[Supabase Provider] Failed to clear temporary link session:', error)
+      }
+    }
+  },
+
+  async resetPasswordForEmail(email, { redirectTo } = {}) {
+    if (!checkRateLimit('passwordReset')) {
+      throw createSupabaseError('RATE_LIMIT')
+    }
+
+    const supabase = ensureSupabaseClient()
+    const { error } = await supabase.auth.resetPasswordForEmail(email, {
+      redirectTo: redirectTo || getPasswordResetUrl()
+    })
+    if (error) throw error
+    return true
+  },
+
+  async updateUser(attributes) {
+    const supabase = ensureSupabaseClient()
+    const { data, error } = await supabase.auth.updateUser(attributes)
+    if (error) throw error
+    return data?.user || null
+  },
+
+  isRecoveryPending() {
+    return isRecoveryPending()
+  },
+
+  markRecovery() {
+    markRecovery()
+  },
+
+  // The recovery session is single-purpose: drop it once the password is set
+  // or the user leaves the recovery page
+  async endRecovery() {
+    clearRecovery()
+    const supabase = ensureSupabaseClient()
+    await supabase.auth.signOut({ scope: 'local' })
+  },
+
+  getPasswordResetPath() {
+    return new URL(getPasswordResetUrl()).pathname
+  },
+
   onAuthStateChange(callback) {
     const supabase = ensureSupabaseClient()
     return supabase.auth.onAuthStateChange(callback)
   },
 
+  // Store bridge: TOKEN_REFRESHED / USER_UPDATED / SIGNED_OUT from the SDK
+  subscribeToAuthEvents(handler) {
+    const supabase = ensureSupabaseClient()
+    const { data } = supabase.auth.onAuthStateChange((event, session) => {
+      if (session) {
+        session._provider = 'supabase'
+      }
+      // supabase-js runs listeners inside its auth lock; calling back into the
+      // client from the handler would deadlock, so hand off asynchronously
+      setTimeout(() => handler(event, session), 0)
+    })
+    return () => data?.subscription?.unsubscribe()
+  },
+
   get authClient() {
     return ensureSupabaseClient().auth
   },
@@ -113,16 +450,11 @@ const supabaseAuthProvider = {
   },
 
   async linkAccount(accessToken) {
-    const csrfToken = document.cookie
-      .split(';')
-      .map(c => c.trim().split('='))
-      .find(([name]) => name === 'refresh_csrf')?.[1]
-
     const response = await axios.post('/api/auth/supabase/link', {
       access_token: accessToken
     }, {
       withCredentials: true,
-      headers: csrfToken ? { 'X-CSRF-Token': decodeURIComponent(csrfToken) } : undefined
+      headers: getCsrfHeaders()
     })
 
     if (response.status >= 400) {
@@ -141,9 +473,12 @@ const supabaseAuthProvider = {
       displayName: 'SupaBase',
       icon: 'mdi-email-outline',
       widget: () => import('./SupabaseAuthWidget.vue'),
+      vuetifyWidget: () => import('../../../components/vue/SupabaseAuthWidget.vue'),
       requiresDialog: true,
       configured,
       supportsLinking: true,
+      supportsAnonymous: true,
+      mfaChallengeWidget: () => import('./SupabaseMfaChallenge.vue'),
       oauthProviders: settings.oauthProviders || []
     }
   }
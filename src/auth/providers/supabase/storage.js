@@ -1,107 +1,48 @@
-const memoryStore = new Map()
-
-function normalizeValue(value) {
-  if (value === undefined || value === null) return null
-  return String(value)
+import { getAuthStorage, getAuthStorageConfig } from '../../../storage/index.js'
+import { createMemoryBackend } from '../../../storage/backends.js'
+
+/**
+ * supabase-js storage adapter backed by the shared auth storage, so the
+ * Supabase session follows `storage.backend` and `storage.encrypt` like every
+ * other provider. supabase-js awaits these calls, so async backends work.
+ *
+ * The session holds a long-lived refresh token, so it is only persisted when
+ * the app sets `storage.backend` itself; the implicit 'local' default keeps
+ * it in memory and a reload signs the user out.
+ */
+const memoryBackend = createMemoryBackend()
+
+function getSupabaseStorage() {
+  return getAuthStorageConfig().explicitBackend ? getAuthStorage() : memoryBackend
 }
 
-function createAdapter(getStorage) {
-  return {
-    getItem(key) {
-      try {
-        const storage = getStorage()
-        return storage ? storage.getItem(key) : null
-      } catch (error) {
-        console.warn('[SupabaseStorage] getItem failed:', error)
-        return null
-      }
-    },
-
-    setItem(key, value) {
-      try {
-        const storage = getStorage()
-        if (!storage) return
-        storage.setItem(key, normalizeValue(value))
-      } catch (error) {
-        console.warn('[SupabaseStorage] setItem failed:', error)
-      }
-    },
-
-    removeItem(key) {
-      try {
-        const storage = getStorage()
-        if (!storage) return
-        storage.removeItem(key)
-      } catch (error) {
-        console.warn('[SupabaseStorage] removeItem failed:', error)
-      }
+export const supabaseStorageAdapter = {
+  async getItem(key) {
+    try {
+      return await getSupabaseStorage().getItem(key)
+    } catch (error) {
+      console.warn('[SupabaseStorage] getItem failed:', error)
+      return null
     }
-  }
-}
-
-const memoryStorageAdapter = {
-  getItem(key) {
-    return memoryStore.has(key) ? memoryStore.get(key) : null
   },
-  setItem(key, value) {
-    if (value === undefined || value === null) {
-      memoryStore.delete(key)
-      return
+
+  async setItem(key, value) {
+    try {
+      if (value === undefined || value === null) {
+        await getSupabaseStorage().removeItem(key)
+        return
+      }
+      await getSupabaseStorage().setItem(key, String(value))
+    } catch (error) {
+      console.warn('[SupabaseStorage] setItem failed:', error)
     }
-    memoryStore.set(key, String(value))
   },
-  removeItem(key) {
-    memoryStore.delete(key)
-  }
-}
-
-let sessionStorageAdapter = null
-
-function getSessionStorageAdapter() {
-  if (typeof window === 'undefined' || !window.sessionStorage) {
-    return null
-  }
-
-  if (sessionStorageAdapter) {
-    return sessionStorageAdapter
-  }
-
-  try {
-    const testKey = '__supabase_storage_test__'
-    window.sessionStorage.setItem(testKey, '1')
-    window.sessionStorage.removeItem(testKey)
-    sessionStorageAdapter = createAdapter(() => window.sessionStorage)
-    return sessionStorageAdapter
-  } catch (error) {
-    console.warn('[SupabaseStorage] sessionStorage unavailable:', error)
-    sessionStorageAdapter = null
-    return null
-  }
-}
-
-export function resolveSupabaseStorage(preference = 'memory') {
-  const originalPreference = preference
-  const normalized = typeof preference === 'string'
-    ? preference.trim().toLowerCase()
-    : 'memory'
 
-  switch (normalized) {
-    case 'session':
-    case 'sessionstorage': {
-      const adapter = getSessionStorageAdapter()
-      if (adapter) return adapter
-      return memoryStorageAdapter
+  async removeItem(key) {
+    try {
+      await getSupabaseStorage().removeItem(key)
+    } catch (error) {
+      console.warn('[SupabaseStorage] removeItem failed:', error)
     }
-    case 'memory':
-    case 'in-memory':
-    case 'inmemory':
-      return memoryStorageAdapter
-    case 'local':
-    case 'localstorage':
-      console.warn('[SupabaseStorage] localStorage is not permitted; falling back to sessionStorage')
-      return resolveSupabaseStorage('sessionStorage')
-    default:
-      console.warn('[SupabaseStorage] Unknown storage preference:', originalPreference, '- falling back to memory')
-      return memoryStorageAdapter
   }
 }
@@ -0,0 +1,55 @@
+import { getAuthClientConfig, isProductionBuild } from '../runtimeConfig.js'
+
+/**
+ * Which requests may carry the user's bearer token.
+ *
+ * Requests to the app's own origin always qualify; any other origin must be
+ * listed in `tokenAttachment.allowedOrigins`. When `tokenAttachment.pathPrefixes`
+ * is set, the request path must also start with one of them. A single request
+ * opts out with `_skipAuth: true`. Tokens are never written to axios defaults,
+ * so a third-party API called through axios doesn't receive them.
+ */
+const warnedOrigins = new Set()
+
+function getAppOrigin() {
+  return typeof window !== 'undefined' ? window.location.origin : 'http://localhost'
+}
+
+export function resolveRequestUrl(url) {
+  return new URL(url || '', getAppOrigin())
+}
+
+export function getTokenAttachmentRules() {
+  const rules = getAuthClientConfig().tokenAttachment || {}
+  return {
+    allowedOrigins: [getAppOrigin(), ...(rules.allowedOrigins || [])],
+    pathPrefixes: rules.pathPrefixes || []
+  }
+}
+
+function warnBlockedOrigin(origin) {
+  if (isProductionBuild() || warnedOrigins.has(origin)) return
+  warnedOrigins.add(origin)
+  console.warn(`[Auth] Not sending the access token to ${origin}. Add it to tokenAttachment.allowedOrigins if this API expects it, or pass _skipAuth: true to silence this warning.`)
+}
+
+// `url` is the full request URL, e.g. from axiosInstance.getUri(config)
+export function shouldAttachToken(url, config = {}) {
+  if (config._skipAuth) return false
+
+  let target
+  try {
+    target = resolveRequestUrl(url)
+  } catch (error) {
+    return false
+  }
+
+  const { allowedOrigins, pathPrefixes } = getTokenAttachmentRules()
+
+  if (!allowedOrigins.includes(target.origin)) {
+    warnBlockedOrigin(target.origin)
+    return false
+  }
+
+  return !pathPrefixes.length || pathPrefixes.some(prefix => target.pathname.startsWith(prefix))
+}
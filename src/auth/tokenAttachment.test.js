@@ -0,0 +1,70 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { configureAuthClient, resetAuthClientConfig } from '../runtimeConfig.js'
+import { resolveRequestUrl, getTokenAttachmentRules, shouldAttachToken } from './tokenAttachment.js'
+
+// Without a window the app origin is http://localhost
+function configureAttachment(tokenAttachment) {
+  configureAuthClient({ providers: ['local'], defaultProvider: 'local', tokenAttachment })
+}
+
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {})
+  configureAttachment(undefined)
+})
+
+afterEach(() => {
+  resetAuthClientConfig()
+})
+
+test('resolveRequestUrl resolves relative URLs against the app origin', () => {
+  assert.equal(resolveRequestUrl('/api/me').href, 'http://localhost/api/me')
+  assert.equal(resolveRequestUrl('https://api.example.com/v1').origin, 'https://api.example.com')
+})
+
+test('the app origin is always allowed', () => {
+  assert.deepEqual(getTokenAttachmentRules(), { allowedOrigins: ['http://localhost'], pathPrefixes: [] })
+  assert.equal(shouldAttachToken('/api/me'), true)
+  assert.equal(shouldAttachToken('http://localhost/api/me'), true)
+})
+
+test('a cross-origin request gets no token', () => {
+  assert.equal(shouldAttachToken('https://third-party.example/collect'), false)
+  assert.equal(shouldAttachToken('//third-party.example/collect'), false)
+  assert.equal(shouldAttachToken('http://localhost:8080/api/me'), false)
+  assert.equal(shouldAttachToken('https://localhost/api/me'), false)
+})
+
+test('origins listed in allowedOrigins get the token', () => {
+  configureAttachment({ allowedOrigins: ['https://api.example.com/'] })
+
+  assert.deepEqual(getTokenAttachmentRules().allowedOrigins, ['http://localhost', 'https://api.example.com'])
+  assert.equal(shouldAttachToken('https://api.example.com/v1/me'), true)
+  assert.equal(shouldAttachToken('https://evil.example.com/v1/me'), false)
+  assert.equal(shouldAttachToken('https://api.example.com.evil.example/v1/me'), false)
+})
+
+test('pathPrefixes narrow every allowed origin to matching paths', () => {
+  configureAttachment({ allowedOrigins: ['https://api.example.com'], pathPrefixes: ['/api/'] })
+
+  assert.equal(shouldAttachToken('/api/me'), true)
+  assert.equal(shouldAttachToken('/assets/logo.svg'), false)
+  assert.equal(shouldAttachToken('https://api.example.com/api/me'), true)
+  assert.equal(shouldAttachToken('https://api.example.com/health'), false)
+})
+
+test('_skipAuth opts a single request out', () => {
+  configureAttachment({ allowedOrigins: ['https://api.example.com'] })
+
+  assert.equal(shouldAttachToken('/api/me', { _skipAuth: true }), false)
+  assert.equal(shouldAttachToken('https://api.example.com/v1/me', { _skipAuth: true }), false)
+})
+
+test('an unparseable URL gets no token', () => {
+  assert.equal(shouldAttachToken('http://'), false)
+})
+
+test('configureAuthClient rejects malformed allowedOrigins and pathPrefixes', () => {
+  assert.throws(() => configureAttachment({ allowedOrigins: ['https://api.example.com/v1'] }), /allowedOrigins entries must be origins/)
+  assert.throws(() => configureAttachment({ pathPrefixes: ['api/'] }), /pathPrefixes entries must start with '\/'/)
+})
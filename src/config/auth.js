@@ -2,6 +2,8 @@ const DEFAULT_AUTH_CONFIG = {
   providers: ['local'],
   defaultProvider: 'local',
   anonymousProvider: 'local',
+  // Tried in order when anonymousProvider can't start a session
+  anonymousFallbackProviders: [],
 
   // Anonymous session settings
   allowAnonymous: false,
@@ -71,6 +73,9 @@ const DEFAULT_AUTH_CONFIG = {
       AUTH_VALIDATION_FAILED: 'Authentication validation failed. Please sign in again.',
       GOOGLE_SDK_LOAD_FAILED: 'Unable to load Google Sign-In. Please try again or use another method.',
       GOOGLE_SDK_INIT_FAILED: 'Google Sign-In initialization failed. Please refresh the page.',
+      GOOGLE_SCOPES_DENIED: 'Google access was not granted for everything this feature needs.',
+      GOOGLE_TOKEN_FAILED: 'Unable to get access to your Google account. Please try again.',
+      PROVIDER_ACCESS_REVOKED: 'Access to your account data was revoked.',
       SUPABASE_CONNECTION_FAILED: 'Unable to connect to authentication service.',
       UNKNOWN_ERROR: 'An unexpected error occurred. Please try again.',
       SERVER_ERROR: 'Server error. Please try again later.',
@@ -79,6 +84,25 @@ const DEFAULT_AUTH_CONFIG = {
       SIGNUP_SUCCESS: 'Account created successfully!',
       LOGOUT_SUCCESS: 'You have been signed out.',
       PASSWORD_RESET_SENT: 'Password reset link has been sent to your email.',
+      PASSWORD_UPDATED: 'Your password has been updated. Please sign in.',
+      PASSWORD_RESET_EXPIRED: 'This password reset link is invalid or has expired. Please request a new one.',
+      PASSWORD_MISMATCH: 'The passwords do not match.',
+      AUTH_CALLBACK_FAILED: 'Sign-in could not be completed. Please try again.',
+      AUTH_CALLBACK_INVALID: 'This sign-in link is incomplete or has already been used. Please sign in again.',
+      MAGIC_LINK_SENT: 'Check your email for a sign-in link or code.',
+      MAGIC_LINK_INVALID: 'This sign-in link or code is invalid or has expired. Please request a new one.',
+      SSO_NOT_CONFIGURED: 'Single sign-on is not set up for this email domain. Please use another sign-in method.',
+      SSO_FAILED: 'Company sign-in failed. Please try again or contact your administrator.',
+      PHONE_INVALID: 'Please enter a valid phone number including the country code, e.g. +14155552671.',
+      PHONE_CODE_SENT: 'We sent a verification code by SMS.',
+      PHONE_CODE_INVALID: 'This verification code is invalid or has expired. Please request a new one.',
+      PHONE_EXISTS: 'This phone number is already linked to another account.',
+      API_KEY_INVALID: 'This access token is invalid or has been revoked.',
+      MFA_REQUIRED: 'Enter the code from your authenticator app to continue.',
+      MFA_CODE_INVALID: 'This authenticator code is invalid. Check your device clock and try again.',
+      MFA_ENROLLED: 'Two-factor authentication is now enabled.',
+      MFA_REMOVED: 'The authenticator was removed from your account.',
+      ANONYMOUS_UPGRADE_FAILED: 'Your account is ready, but some guest data could not be moved.',
       EMAIL_CONFIRMED: 'Email confirmed successfully!',
       PROFILE_UPDATED: 'Profile updated successfully.',
     },
@@ -109,9 +133,12 @@ const DEFAULT_AUTH_CONFIG = {
       login: { max: 5, window: 300000 },
       signup: { max: 3, window: 600000 },
       passwordReset: { max: 3, window: 3600000 },
+      magicLink: { max: 5, window: 900000 },
+      phoneOtp: { max: 5, window: 900000 },
       tokenRefresh: { max: 10, window: 60000 },
     },
     storage: 'localStorage',
+    resendCooldown: 60000,
   },
 
   security: {
@@ -119,7 +146,7 @@ const DEFAULT_AUTH_CONFIG = {
     csrfTokenHeader: 'X-CSRF-Token',
     signRequests: false,
     signatureHeader: 'X-Request-Signature',
-    tokenStorage: 'localStorage',
+    // tokenStorage is read by configureAuthClient as an alias of storage.backend
     secureCookies: true,
     sameSiteCookies: 'strict',
     validateSessionOnFocus: true,
@@ -244,6 +271,30 @@ export function checkRateLimit(action) {
   }
 }
 
+// Milliseconds until checkRateLimit(action) would allow another request (0 = now)
+export function getRateLimitCooldown(action) {
+  const rateConfig = authConfig.rateLimiting
+  if (!rateConfig?.enabled) return 0
+
+  const limits = rateConfig.requests?.[action]
+  if (!limits) return 0
+
+  const storageName = rateConfig.storage || 'localStorage'
+  const storage = typeof window !== 'undefined' ? window[storageName] : null
+  if (!storage) return 0
+
+  try {
+    const now = Date.now()
+    const data = JSON.parse(storage.getItem(`rate_limit_${action}`) || '[]')
+    const recent = data.filter(time => now - time < limits.window)
+
+    if (recent.length < limits.max) return 0
+    return Math.max(0, Math.min(...recent) + limits.window - now)
+  } catch (error) {
+    return 0
+  }
+}
+
 class CircuitBreaker {
   constructor(name, config = authConfig.errorHandling.recovery.circuitBreaker) {
     this.name = name
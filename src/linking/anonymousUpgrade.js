@@ -0,0 +1,117 @@
+import axios from 'axios'
+import { getTimeout } from '../config/auth.js'
+import { readStoredJson, writeStoredJson, removeStoredItem } from '../storage/index.js'
+
+/**
+ * Guest -> account upgrade pipeline
+ *
+ * When a guest signs in with any provider, the store hands the guest id and a
+ * proof token (the guest's own access token) to the backend so it can merge
+ * server-side data, then runs client-side migrators registered by the app:
+ *
+ *   registerAnonymousMigrator('drafts', async ({ fromId, toId }) => {
+ *     const drafts = localStorage.getItem(`drafts:${fromId}`)
+ *     if (drafts) localStorage.setItem(`drafts:${toId}`, drafts)
+ *     localStorage.removeItem(`drafts:${fromId}`)
+ *   })
+ *
+ * Migrators may run more than once (a failed upgrade can be retried), so
+ * they should be idempotent.
+ */
+const PENDING_KEY = 'anonymous_upgrade_pending'
+const PENDING_MAX_AGE = 60 * 60 * 1000
+const MERGE_ENDPOINT = '/api/auth/anonymous/merge'
+
+const migrators = new Map()
+
+export function registerAnonymousMigrator(name, migrate) {
+  if (typeof migrate !== 'function') {
+    throw new TypeError('registerAnonymousMigrator: migrate must be a function')
+  }
+  migrators.set(name, migrate)
+  return () => migrators.delete(name)
+}
+
+export function unregisterAnonymousMigrator(name) {
+  return migrators.delete(name)
+}
+
+export function getAnonymousMigratorNames() {
+  return Array.from(migrators.keys())
+}
+
+/**
+ * Build the upgrade record for an anonymous session. Only the guest id and
+ * its proof are sent: a key shipped next to the proof would let anyone sign
+ * their own. The backend verifies local guest proofs against the key it
+ * pinned when the guest was created (AuthClient.auth.getLocalPublicKey()).
+ */
+export async function captureAnonymousIdentity(session) {
+  if (!session?.isAnonymous || !session.access_token) return null
+
+  const anonymousId = session.provider_id || session.user?.id || session.raw?.provider_id || null
+  if (!anonymousId) return null
+
+  return {
+    anonymousId,
+    provider: session.provider,
+    proofToken: session.access_token,
+    capturedAt: Date.now()
+  }
+}
+
+// Survives the redirect-based sign-in flows (OIDC, SSO, magic link). The record
+// carries the guest's proof token, so it uses the configured (optionally
+// encrypted) auth storage rather than plain sessionStorage.
+export async function savePendingUpgrade(record) {
+  if (!record) return
+  await writeStoredJson(PENDING_KEY, record, 'Upgrade')
+}
+
+export async function loadPendingUpgrade() {
+  const record = await readStoredJson(PENDING_KEY, 'Upgrade')
+  if (record && Date.now() - record.capturedAt > PENDING_MAX_AGE) {
+    await clearPendingUpgrade()
+    return null
+  }
+  return record
+}
+
+export async function clearPendingUpgrade() {
+  await removeStoredItem(PENDING_KEY, 'Upgrade')
+}
+
+export async function requestBackendMerge(record, target) {
+  const { data } = await axios.post(MERGE_ENDPOINT, {
+    anonymous_id: record.anonymousId,
+    anonymous_provider: record.provider,
+    proof_token: record.proofToken,
+    provider: target.provider
+  }, {
+    timeout: getTimeout('authRequest'),
+    _noRetry: true
+  })
+  return data || {}
+}
+
+/**
+ * Run every registered migrator, reporting each step. Failures are collected
+ * rather than stopping the remaining migrators.
+ */
+export async function runAnonymousMigrators(context, onStep = () => {}) {
+  const failures = []
+
+  for (const [name, migrate] of migrators) {
+    onStep({ name, status: 'running' })
+    try {
+      await migrate(context)
+      onStep({ name, status: 'done' })
+    } catch (error) {
+      console.warn(`[Upgrade] Migrator '${name}' failed:`, error)
+      failures.push({ name, message: error?.message || String(error) })
+      onStep({ name, status: 'failed', error })
+    }
+  }
+
+  return failures
+}
@@ -1,4 +1,12 @@
+import { getFlowStorage, readStoredJson, writeStoredJson, removeStoredItem } from '../storage/index.js'
+
 const CLONE_ERROR_MESSAGE = '[Linking] Failed to clone session snapshot:'
+// Redirect-based linking leaves the page; the snapshot waits for the callback route.
+// Flow storage only holds which link is pending; the session itself, tokens
+// included, goes through the configured (optionally encrypted) auth storage.
+const PENDING_LINK_KEY = 'linking_pending_snapshot'
+const PENDING_LINK_SESSION_KEY = 'linking_pending_session'
+const PENDING_LINK_MAX_AGE = 15 * 60 * 1000
 
 function cloneSession(session) {
   if (!session) return null
@@ -51,3 +59,48 @@ export async function restoreLinkingSessionSnapshot(store, snapshot, linkedProvi
 
   return true
 }
+
+export async function savePendingLinkingSnapshot(snapshot, provider, returnTo = null) {
+  if (!snapshot || !provider) return
+  try {
+    getFlowStorage().setItem(PENDING_LINK_KEY, JSON.stringify({
+      provider,
+      sessionProvider: snapshot.provider,
+      returnTo,
+      createdAt: Date.now()
+    }))
+  } catch (error) {
+    console.warn('[Linking] Failed to persist pending link:', error)
+    return
+  }
+  await writeStoredJson(PENDING_LINK_SESSION_KEY, snapshot.session, 'Linking')
+}
+
+export function loadPendingLinkingSnapshot() {
+  try {
+    const pending = JSON.parse(getFlowStorage().getItem(PENDING_LINK_KEY) || 'null')
+    if (!pending || Date.now() - pending.createdAt > PENDING_LINK_MAX_AGE) {
+      clearPendingLinkingSnapshot()
+      return null
+    }
+    return pending
+  } catch (error) {
+    return null
+  }
+}
+
+// The snapshot saved with a pending link, or null when it is gone
+export async function loadPendingLinkingSession(pending) {
+  if (!pending?.sessionProvider) return null
+  const session = await readStoredJson(PENDING_LINK_SESSION_KEY, 'Linking')
+  return session ? { session, provider: pending.sessionProvider } : null
+}
+
+export async function clearPendingLinkingSnapshot() {
+  try {
+    getFlowStorage().removeItem(PENDING_LINK_KEY)
+  } catch (error) {
+    // Ignore storage failures
+  }
+  await removeStoredItem(PENDING_LINK_SESSION_KEY, 'Linking')
+}
@@ -1,22 +1,32 @@
 import { applyAuthConfig, resetAuthConfig } from './config/auth.js'
 import { configureSupabase } from './auth/providers/supabase/client.js'
+import { STORAGE_BACKENDS, DEFAULT_STORAGE_CONFIG, configureAuthStorage } from './storage/index.js'
+import { isStorageEncryptionSupported } from './storage/encryption.js'
+
+function clone(value) {
+  return value ? JSON.parse(JSON.stringify(value)) : value
+}
 
 const DEFAULT_AUTH_CLIENT_CONFIG = {
   providers: ['local'],
   defaultProvider: 'local',
   anonymousProvider: 'local',
+  anonymousFallbackProviders: [],
   allowAnonymous: false,
   autoStartAnonymous: false,
   supabase: null,
   google: null,
+  oidc: null,
+  mock: null,
+  storage: clone(DEFAULT_STORAGE_CONFIG),
+  tokenAttachment: {
+    allowedOrigins: [],
+    pathPrefixes: []
+  },
 }
 
 const SINGLETON_KEY = '__JSKIT_AUTH_CLIENT_SINGLETON__'
 
-function clone(value) {
-  return value ? JSON.parse(JSON.stringify(value)) : value
-}
-
 const TRUE_VALUES = new Set(['true', '1', 'yes', 'y', 'on'])
 const FALSE_VALUES = new Set(['false', '0', 'no', 'n', 'off'])
 
@@ -51,7 +61,11 @@ function normalizeList(value) {
     .filter(Boolean)
 }
 
-function normalizeProviders(value, defaults, supabaseConfigured, googleConfigured) {
+function normalizeObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? clone(value) : null
+}
+
+function normalizeProviders(value, defaults, configured = {}) {
   if (value !== undefined) {
     const source = Array.isArray(value) ? value : normalizeList(value)
     const normalized = (Array.isArray(source) ? source : normalizeList(source))
@@ -61,8 +75,9 @@ function normalizeProviders(value, defaults, supabaseConfigured, googleConfigure
   }
 
   const computed = new Set(defaults)
-  if (supabaseConfigured) computed.add('supabase')
-  if (googleConfigured) computed.add('google')
+  for (const [name, isConfigured] of Object.entries(configured)) {
+    if (isConfigured) computed.add(name)
+  }
   if (!computed.size) {
     computed.add('local')
   }
@@ -97,7 +112,10 @@ function normalizeSupabaseConfig(raw = {}) {
     oauthProviders: normalizeList(raw.oauthProviders),
     oauthOnly: normalizeBoolean(raw.oauthOnly, false),
     magicLink: normalizeBoolean(raw.magicLink, true),
-    redirectUrl: normalizeString(raw.redirectUrl)
+    redirectUrl: normalizeString(raw.redirectUrl),
+    passwordResetUrl: normalizeString(raw.passwordResetUrl),
+    appearance: normalizeObject(raw.appearance),
+    localization: normalizeObject(raw.localization)
   }
 }
 
@@ -108,23 +126,198 @@ function normalizeGoogleConfig(raw = {}) {
   if (!clientId) {
     return null
   }
-  return { clientId }
+  return {
+    clientId,
+    redirectUri: normalizeString(raw.redirectUri),
+    oneTap: normalizeGoogleOneTap(raw.oneTap)
+  }
+}
+
+const ONE_TAP_CONTEXTS = new Set(['signin', 'signup', 'use'])
+
+// `oneTap: true` is shorthand for `oneTap: { enabled: true }`
+function normalizeGoogleOneTap(raw) {
+  const source = raw && typeof raw === 'object' ? raw : { enabled: raw }
+  const context = normalizeString(source.context)
+
+  return {
+    enabled: normalizeBoolean(source.enabled, false),
+    promptOnStart: normalizeBoolean(source.promptOnStart, true),
+    autoSelect: normalizeBoolean(source.autoSelect, false),
+    cancelOnTapOutside: normalizeBoolean(source.cancelOnTapOutside, true),
+    context: ONE_TAP_CONTEXTS.has(context) ? context : 'signin',
+    fedcm: normalizeBoolean(source.fedcm, true)
+  }
+}
+
+function normalizeScopes(value, defaults) {
+  const scopes = Array.isArray(value)
+    ? normalizeList(value)
+    : (normalizeString(value) || '').split(/[\s,]+/).filter(Boolean)
+  const result = scopes.length ? scopes : [...defaults]
+  if (!result.includes('openid')) {
+    result.unshift('openid')
+  }
+  return Array.from(new Set(result))
 }
 
-function normalizeAuthClientConfig(partial = {}) {
+function normalizeOidcConfig(raw = {}) {
+  if (!raw) return null
+
+  const issuer = normalizeString(raw.issuer)
+  const clientId = normalizeString(raw.clientId)
+  if (!issuer || !clientId) {
+    return null
+  }
+
+  const uxMode = normalizeString(raw.uxMode)
+
+  return {
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    scopes: normalizeScopes(raw.scopes, ['openid', 'profile', 'email']),
+    redirectUri: normalizeString(raw.redirectUri),
+    silentRedirectUri: normalizeString(raw.silentRedirectUri),
+    postLogoutRedirectUri: normalizeString(raw.postLogoutRedirectUri),
+    audience: normalizeString(raw.audience),
+    displayName: normalizeString(raw.displayName),
+    uxMode: uxMode === 'popup' ? 'popup' : 'redirect',
+    silentRenew: normalizeBoolean(raw.silentRenew, true)
+  }
+}
+
+function normalizePersona(raw, index) {
+  if (!raw || typeof raw !== 'object') return null
+
+  const name = normalizeString(raw.name) || `Persona ${index + 1}`
+  const id = normalizeString(raw.id) || name.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+
+  return {
+    ...clone(raw),
+    id,
+    name,
+    email: normalizeString(raw.email) || null,
+    roles: normalizeList(raw.roles),
+    anonymous: normalizeBoolean(raw.anonymous, false)
+  }
+}
+
+function normalizeMockConfig(raw = {}) {
+  if (!raw) return null
+
+  const personas = (Array.isArray(raw.personas) ? raw.personas : [])
+    .map(normalizePersona)
+    .filter(Boolean)
+
+  return {
+    personas,
+    defaultPersona: normalizeString(raw.defaultPersona),
+    force: normalizeBoolean(raw.force, false)
+  }
+}
+
+const STORAGE_BACKEND_ALIASES = {
+  local: 'local',
+  localstorage: 'local',
+  session: 'session',
+  sessionstorage: 'session',
+  memory: 'memory',
+  'in-memory': 'memory',
+  inmemory: 'memory',
+  indexeddb: 'indexeddb',
+  idb: 'indexeddb',
+  cookie: 'cookie',
+  cookies: 'cookie',
+  custom: 'custom'
+}
+
+function normalizeStorageBackend(value) {
+  const str = normalizeString(value)
+  if (!str) return undefined
+  // Unknown names are kept as-is so validateConfig can report them
+  return STORAGE_BACKEND_ALIASES[str.toLowerCase()] || str
+}
+
+function normalizeSameSite(value, fallback) {
+  const str = (normalizeString(value) || fallback).toLowerCase()
+  return str.charAt(0).toUpperCase() + str.slice(1)
+}
+
+/**
+ * `security.tokenStorage` predates the storage subsystem and is still
+ * accepted as an alias for `storage.backend`. The adapter itself is not part
+ * of the (JSON-cloned) config; configure() hands it to the storage module.
+ */
+function normalizeStorageConfig(raw = {}, security = {}, hasAdapter = false) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const defaults = DEFAULT_STORAGE_CONFIG
+  const cookie = source.cookie && typeof source.cookie === 'object' ? source.cookie : {}
+  const backend = normalizeStorageBackend(source.backend)
+  const tokenStorage = normalizeStorageBackend(security?.tokenStorage)
+  const maxAge = Number(cookie.maxAge)
+
+  return {
+    backend: backend || tokenStorage || (hasAdapter ? 'custom' : defaults.backend),
+    explicitBackend: !!(backend || tokenStorage || hasAdapter),
+    tokenStorage,
+    encrypt: normalizeBoolean(source.encrypt, defaults.encrypt),
+    hasAdapter,
+    cookie: {
+      path: normalizeString(cookie.path) || defaults.cookie.path,
+      domain: normalizeString(cookie.domain),
+      sameSite: normalizeSameSite(cookie.sameSite, defaults.cookie.sameSite),
+      secure: normalizeBoolean(cookie.secure, defaults.cookie.secure),
+      maxAge: Number.isFinite(maxAge) && maxAge > 0 ? Math.floor(maxAge) : defaults.cookie.maxAge
+    }
+  }
+}
+
+function isStorageAdapter(value) {
+  return !!value &&
+    typeof value.getItem === 'function' &&
+    typeof value.setItem === 'function' &&
+    typeof value.removeItem === 'function'
+}
+
+// The app's own origin is always allowed; see auth/tokenAttachment.js
+function normalizeTokenAttachment(raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  return {
+    allowedOrigins: normalizeList(source.allowedOrigins).map(origin => origin.replace(/\/+$/, '').toLowerCase()),
+    pathPrefixes: normalizeList(source.pathPrefixes)
+  }
+}
+
+// Fails closed: production unless a dev build is positively detected. Vite (and
+// compatible bundlers) statically replace import.meta.env.DEV; other bundlers set NODE_ENV
+export function isProductionBuild() {
+  if (import.meta.env?.DEV === true) return false
+  if (typeof process !== 'undefined' && process.env?.NODE_ENV === 'development') return false
+  return true
+}
+
+function normalizeAuthClientConfig(partial = {}, storageAdapter = null) {
   const normalized = clone(DEFAULT_AUTH_CLIENT_CONFIG)
 
   const normalizedSupabase = normalizeSupabaseConfig(partial.supabase)
   const normalizedGoogle = normalizeGoogleConfig(partial.google)
+  const normalizedOidc = normalizeOidcConfig(partial.oidc)
 
   normalized.supabase = normalizedSupabase
   normalized.google = normalizedGoogle
+  normalized.oidc = normalizedOidc
+  normalized.mock = normalizeMockConfig(partial.mock)
+  normalized.storage = normalizeStorageConfig(partial.storage, partial.security, !!storageAdapter)
+  normalized.tokenAttachment = normalizeTokenAttachment(partial.tokenAttachment)
 
   normalized.providers = normalizeProviders(
     partial.providers,
     DEFAULT_AUTH_CLIENT_CONFIG.providers,
-    !!normalizedSupabase,
-    !!normalizedGoogle
+    {
+      supabase: !!normalizedSupabase,
+      google: !!normalizedGoogle,
+      oidc: !!normalizedOidc
+    }
   )
 
   normalized.defaultProvider = normalizeProviderName(
@@ -139,6 +332,11 @@ function normalizeAuthClientConfig(partial = {}) {
     normalized.providers
   )
 
+  // Fallbacks are opt-in; validateConfig checks them against `providers`
+  normalized.anonymousFallbackProviders = partial.anonymousFallbackProviders === undefined
+    ? [...DEFAULT_AUTH_CLIENT_CONFIG.anonymousFallbackProviders]
+    : normalizeList(partial.anonymousFallbackProviders)
+
   normalized.allowAnonymous = normalizeBoolean(partial.allowAnonymous, DEFAULT_AUTH_CLIENT_CONFIG.allowAnonymous)
   normalized.autoStartAnonymous = normalizeBoolean(partial.autoStartAnonymous, DEFAULT_AUTH_CLIENT_CONFIG.autoStartAnonymous)
 
@@ -146,10 +344,15 @@ function normalizeAuthClientConfig(partial = {}) {
     'providers',
     'defaultProvider',
     'anonymousProvider',
+    'anonymousFallbackProviders',
     'allowAnonymous',
     'autoStartAnonymous',
     'supabase',
-    'google'
+    'google',
+    'oidc',
+    'mock',
+    'storage',
+    'tokenAttachment'
   ])
 
   for (const [key, value] of Object.entries(partial)) {
@@ -174,6 +377,8 @@ function validateConfig(config) {
   const providers = config.providers ?? []
   const supabase = config.supabase
   const google = config.google
+  const oidc = config.oidc
+  const mock = config.mock
 
   if (!Array.isArray(providers) || providers.length === 0) {
     throw new Error('configureAuthClient: providers must be a non-empty array')
@@ -183,6 +388,11 @@ function validateConfig(config) {
     throw new Error('configureAuthClient: defaultProvider must be included in providers array')
   }
 
+  const unknownFallbacks = (config.anonymousFallbackProviders || []).filter(name => !providers.includes(name))
+  if (unknownFallbacks.length) {
+    throw new Error(`configureAuthClient: anonymousFallbackProviders must be included in providers array (got ${unknownFallbacks.join(', ')})`)
+  }
+
   if (providers.includes('supabase')) {
     if (!supabase?.url || !supabase?.anonKey) {
       throw new Error('configureAuthClient: supabase.url and supabase.anonKey are required when enabling the supabase provider')
@@ -194,6 +404,84 @@ function validateConfig(config) {
       throw new Error('configureAuthClient: google.clientId is required when enabling the google provider')
     }
   }
+
+  if (providers.includes('oidc')) {
+    if (!oidc?.issuer || !oidc?.clientId) {
+      throw new Error('configureAuthClient: oidc.issuer and oidc.clientId are required when enabling the oidc provider')
+    }
+  }
+
+  validateStorageConfig(config.storage, providers)
+  validateTokenAttachment(config.tokenAttachment)
+
+  if (providers.includes('mock')) {
+    if (isProductionBuild() && !mock?.force) {
+      throw new Error('configureAuthClient: the mock provider is disabled in production builds; set mock.force to enable it explicitly')
+    }
+    if (!mock?.personas?.length) {
+      throw new Error('configureAuthClient: mock.personas must contain at least one persona when enabling the mock provider')
+    }
+  }
+}
+
+function validateStorageConfig(storage, providers = []) {
+  if (!storage) return
+
+  if (!STORAGE_BACKENDS.includes(storage.backend)) {
+    throw new Error(`configureAuthClient: storage.backend must be one of ${STORAGE_BACKENDS.join(', ')}`)
+  }
+
+  if (storage.tokenStorage && storage.tokenStorage !== storage.backend) {
+    throw new Error('configureAuthClient: security.tokenStorage and storage.backend disagree; set only storage.backend')
+  }
+
+  if (storage.backend === 'custom' && !storage.hasAdapter) {
+    throw new Error('configureAuthClient: storage.adapter with getItem, setItem and removeItem is required for the custom storage backend')
+  }
+
+  if (storage.backend !== 'custom' && storage.hasAdapter) {
+    throw new Error(`configureAuthClient: storage.adapter is only used by the custom backend, but storage.backend is '${storage.backend}'`)
+  }
+
+  if (storage.encrypt && storage.backend === 'memory') {
+    throw new Error('configureAuthClient: storage.encrypt has no effect on the memory backend')
+  }
+
+  // Fail closed: never fall back to writing tokens in plaintext
+  if (storage.encrypt && !isStorageEncryptionSupported()) {
+    throw new Error('configureAuthClient: storage.encrypt requires WebCrypto, which is unavailable in this environment')
+  }
+
+  // Supabase sessions (two JWTs plus the user) exceed the ~4 KB browsers allow per cookie
+  if (storage.backend === 'cookie' && providers.includes('supabase')) {
+    throw new Error('configureAuthClient: the cookie storage backend cannot hold Supabase sessions; use local, session or indexeddb')
+  }
+
+  if (storage.backend === 'cookie' && storage.cookie.sameSite === 'None' && !storage.cookie.secure) {
+    throw new Error('configureAuthClient: storage.cookie.sameSite "None" requires storage.cookie.secure')
+  }
+}
+
+function validateTokenAttachment(tokenAttachment) {
+  if (!tokenAttachment) return
+
+  for (const origin of tokenAttachment.allowedOrigins) {
+    let parsed = null
+    try {
+      parsed = new URL(origin)
+    } catch (error) {
+      parsed = null
+    }
+    if (!parsed || parsed.origin !== origin) {
+      throw new Error(`configureAuthClient: tokenAttachment.allowedOrigins entries must be origins like 'https://api.example.com', got '${origin}'`)
+    }
+  }
+
+  for (const prefix of tokenAttachment.pathPrefixes) {
+    if (!prefix.startsWith('/')) {
+      throw new Error(`configureAuthClient: tokenAttachment.pathPrefixes entries must start with '/', got '${prefix}'`)
+    }
+  }
 }
 
 function createSingleton() {
@@ -206,7 +494,13 @@ function createSingleton() {
   }
 
   function configure(partialConfig = {}) {
-    const normalized = normalizeAuthClientConfig(partialConfig)
+    // Functions don't survive the JSON clone, so the adapter travels separately
+    const storageAdapter = partialConfig?.storage?.adapter ?? null
+    if (storageAdapter && !isStorageAdapter(storageAdapter)) {
+      throw new Error('configureAuthClient: storage.adapter must implement getItem, setItem and removeItem')
+    }
+
+    const normalized = normalizeAuthClientConfig(partialConfig, storageAdapter)
     validateConfig(normalized)
 
     setCurrentConfig(clone(normalized))
@@ -214,6 +508,7 @@ function createSingleton() {
     resetAuthConfig()
     applyAuthConfig(state.currentConfig)
 
+    configureAuthStorage(state.currentConfig.storage, storageAdapter)
     configureSupabase(state.currentConfig.supabase || null)
 
     return state.currentConfig
@@ -227,6 +522,7 @@ function createSingleton() {
     setCurrentConfig(clone(DEFAULT_AUTH_CLIENT_CONFIG))
     resetAuthConfig()
     applyAuthConfig(state.currentConfig)
+    configureAuthStorage(state.currentConfig.storage)
     configureSupabase(state.currentConfig.supabase || null)
     return state.currentConfig
   }
@@ -0,0 +1,74 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { configureAuthClient, resetAuthClientConfig } from './runtimeConfig.js'
+import { getAuthStorageConfig } from './storage/index.js'
+
+function configureStorage(storage, extra = {}) {
+  return configureAuthClient({ providers: ['local'], defaultProvider: 'local', storage, ...extra })
+}
+
+afterEach(() => {
+  resetAuthClientConfig()
+})
+
+test('storage defaults to an implicit local backend', () => {
+  const config = configureStorage(undefined)
+
+  assert.equal(config.storage.backend, 'local')
+  assert.equal(config.storage.explicitBackend, false)
+  assert.equal(getAuthStorageConfig().explicitBackend, false)
+})
+
+test('storage.backend accepts aliases and marks the choice as explicit', () => {
+  const config = configureStorage({ backend: 'sessionStorage' })
+
+  assert.equal(config.storage.backend, 'session')
+  assert.equal(config.storage.explicitBackend, true)
+})
+
+test('storage rejects an unknown backend', () => {
+  assert.throws(() => configureStorage({ backend: 'floppy' }), /storage\.backend must be one of/)
+})
+
+test('storage rejects security.tokenStorage that disagrees with storage.backend', () => {
+  assert.throws(
+    () => configureStorage({ backend: 'session' }, { security: { tokenStorage: 'local' } }),
+    /security\.tokenStorage and storage\.backend disagree/
+  )
+})
+
+test('storage rejects a custom backend without an adapter', () => {
+  assert.throws(() => configureStorage({ backend: 'custom' }), /storage\.adapter with getItem, setItem and removeItem is required/)
+})
+
+test('storage rejects an adapter that is incomplete or not used by the backend', () => {
+  const adapter = { getItem() {}, setItem() {}, removeItem() {} }
+
+  assert.throws(() => configureStorage({ adapter: { getItem() {} } }), /storage\.adapter must implement/)
+  assert.throws(() => configureStorage({ backend: 'session', adapter }), /only used by the custom backend/)
+  assert.equal(configureStorage({ adapter }).storage.backend, 'custom')
+})
+
+test('storage rejects encrypt on the memory backend', () => {
+  assert.throws(() => configureStorage({ backend: 'memory', encrypt: true }), /storage\.encrypt has no effect on the memory backend/)
+})
+
+test('storage rejects the cookie backend for Supabase sessions', () => {
+  assert.throws(
+    () => configureAuthClient({
+      providers: ['supabase'],
+      defaultProvider: 'supabase',
+      supabase: { url: 'https://example.supabase.co', anonKey: 'anon-key' },
+      storage: { backend: 'cookie' }
+    }),
+    /cookie storage backend cannot hold Supabase sessions/
+  )
+})
+
+test('storage rejects SameSite=None cookies that are not Secure', () => {
+  assert.throws(
+    () => configureStorage({ backend: 'cookie', cookie: { sameSite: 'None', secure: false } }),
+    /sameSite "None" requires storage\.cookie\.secure/
+  )
+  assert.equal(configureStorage({ backend: 'cookie', cookie: { sameSite: 'None' } }).storage.cookie.secure, true)
+})
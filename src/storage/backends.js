@@ -0,0 +1,146 @@
+import { VALUE_STORE, isIndexedDbAvailable, withObjectStore } from './indexedDb.js'
+
+/**
+ * Storage backends. Every backend exposes the same async interface:
+ *
+ *   getItem(key)        -> Promise<string|null>
+ *   setItem(key, value) -> Promise<void>
+ *   removeItem(key)     -> Promise<void>
+ *
+ * Values are always strings; JSON handling and encryption are layered on top.
+ */
+const COOKIE_SIZE_LIMIT = 4096
+
+export function createMemoryBackend(store = new Map()) {
+  return {
+    name: 'memory',
+    async getItem(key) {
+      return store.has(key) ? store.get(key) : null
+    },
+    async setItem(key, value) {
+      store.set(key, String(value))
+    },
+    async removeItem(key) {
+      store.delete(key)
+    }
+  }
+}
+
+function getWebStorage(type) {
+  try {
+    const storage = typeof window !== 'undefined' ? window[type] : null
+    if (!storage) return null
+    const testKey = '__jskit_auth_storage_test__'
+    storage.setItem(testKey, '1')
+    storage.removeItem(testKey)
+    return storage
+  } catch (error) {
+    console.warn(`[AuthStorage] ${type} unavailable:`, error)
+    return null
+  }
+}
+
+// Private browsing and disabled storage fall back to memory for the page lifetime
+export function createWebStorageBackend(name, type) {
+  const storage = getWebStorage(type)
+  if (!storage) {
+    return { ...createMemoryBackend(), name }
+  }
+
+  return {
+    name,
+    async getItem(key) {
+      return storage.getItem(key)
+    },
+    async setItem(key, value) {
+      storage.setItem(key, String(value))
+    },
+    async removeItem(key) {
+      storage.removeItem(key)
+    }
+  }
+}
+
+export function createIndexedDbBackend() {
+  if (!isIndexedDbAvailable()) {
+    console.warn('[AuthStorage] IndexedDB unavailable; falling back to memory')
+    return { ...createMemoryBackend(), name: 'indexeddb' }
+  }
+
+  return {
+    name: 'indexeddb',
+    async getItem(key) {
+      const value = await withObjectStore(VALUE_STORE, 'readonly', store => store.get(key))
+      return value === undefined ? null : value
+    },
+    async setItem(key, value) {
+      await withObjectStore(VALUE_STORE, 'readwrite', store => store.put(String(value), key))
+    },
+    async removeItem(key) {
+      await withObjectStore(VALUE_STORE, 'readwrite', store => store.delete(key))
+    }
+  }
+}
+
+function readCookie(name) {
+  if (typeof document === 'undefined') return null
+
+  const cookies = document.cookie ? document.cookie.split(';') : []
+  for (const cookie of cookies) {
+    const [cookieName, ...rest] = cookie.trim().split('=')
+    if (cookieName === name) {
+      return decodeURIComponent(rest.join('='))
+    }
+  }
+  return null
+}
+
+function buildCookieAttributes(options, maxAge) {
+  const attributes = [`Path=${options.path}`, `Max-Age=${maxAge}`, `SameSite=${options.sameSite}`]
+  if (options.domain) attributes.push(`Domain=${options.domain}`)
+  if (options.secure) attributes.push('Secure')
+  return attributes.join('; ')
+}
+
+/**
+ * Client-written cookies. They can't be HttpOnly, so this backend only
+ * exists for apps that need values shared across subdomains or readable by
+ * server-side rendering; pair it with `encrypt` when it holds tokens.
+ */
+export function createCookieBackend(options) {
+  return {
+    name: 'cookie',
+    async getItem(key) {
+      return readCookie(key)
+    },
+    async setItem(key, value) {
+      if (typeof document === 'undefined') return
+      const cookie = `${key}=${encodeURIComponent(String(value))}; ${buildCookieAttributes(options, options.maxAge)}`
+      if (cookie.length > COOKIE_SIZE_LIMIT) {
+        console.warn(`[AuthStorage] Cookie "${key}" is ${cookie.length} bytes; browsers may drop cookies over ${COOKIE_SIZE_LIMIT}`)
+      }
+      document.cookie = cookie
+    },
+    async removeItem(key) {
+      if (typeof document === 'undefined') return
+      document.cookie = `${key}=; ${buildCookieAttributes(options, 0)}`
+    }
+  }
+}
+
+// User adapters may be sync (a Storage-like object) or async (IndexedDB, native bridges)
+export function createCustomBackend(adapter) {
+  return {
+    name: 'custom',
+    async getItem(key) {
+      const value = await adapter.getItem(key)
+      return value === undefined ? null : value
+    },
+    async setItem(key, value) {
+      await adapter.setItem(key, String(value))
+    },
+    async removeItem(key) {
+      await adapter.removeItem(key)
+    }
+  }
+}
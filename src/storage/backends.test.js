@@ -0,0 +1,150 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMemoryBackend, createIndexedDbBackend, createCookieBackend } from './backends.js'
+import { DEFAULT_STORAGE_CONFIG } from './index.js'
+
+// Just enough of IndexedDB for withObjectStore: one database, keyed object stores
+function installFakeIndexedDb() {
+  const stores = new Map()
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: name => stores.set(name, new Map()),
+    close() {},
+    transaction(name) {
+      const data = stores.get(name)
+      const transaction = {
+        objectStore: () => ({
+          get: key => ({ result: data.get(key) }),
+          put: (value, key) => {
+            data.set(key, value)
+            return { result: key }
+          },
+          delete: (key) => {
+            data.delete(key)
+            return { result: undefined }
+          }
+        })
+      }
+      queueMicrotask(() => transaction.oncomplete())
+      return transaction
+    }
+  }
+
+  globalThis.indexedDB = {
+    open() {
+      const request = { result: db }
+      queueMicrotask(() => {
+        request.onupgradeneeded()
+        request.onsuccess()
+      })
+      return request
+    }
+  }
+  return stores
+}
+
+// document.cookie that honours Max-Age=0 and records every write
+function installCookieJar() {
+  const jar = new Map()
+  const writes = []
+  globalThis.document = {
+    get cookie() {
+      return [...jar].map(([name, value]) => `${name}=${value}`).join('; ')
+    },
+    set cookie(value) {
+      writes.push(value)
+      const [pair, ...attributes] = value.split('; ')
+      const [name, ...rest] = pair.split('=')
+      if (attributes.includes('Max-Age=0')) jar.delete(name)
+      else jar.set(name, rest.join('='))
+    }
+  }
+  return writes
+}
+
+afterEach(() => {
+  delete globalThis.indexedDB
+  delete globalThis.document
+})
+
+test('memory backend stores strings and reads missing keys as null', async () => {
+  const backend = createMemoryBackend()
+
+  await backend.setItem('count', 3)
+  assert.equal(await backend.getItem('count'), '3')
+  assert.equal(await backend.getItem('missing'), null)
+
+  await backend.removeItem('count')
+  assert.equal(await backend.getItem('count'), null)
+})
+
+test('memory backends only share values when given the same map', async () => {
+  const store = new Map()
+  await createMemoryBackend(store).setItem('token', 'abc')
+
+  assert.equal(await createMemoryBackend(store).getItem('token'), 'abc')
+  assert.equal(await createMemoryBackend().getItem('token'), null)
+})
+
+test('indexeddb backend round-trips values through the kv object store', async () => {
+  const stores = installFakeIndexedDb()
+  const backend = createIndexedDbBackend()
+
+  await backend.setItem('session', '{"access_token":"abc"}')
+  assert.equal(stores.get('kv').get('session'), '{"access_token":"abc"}')
+  assert.equal(await backend.getItem('session'), '{"access_token":"abc"}')
+  assert.equal(await backend.getItem('missing'), null)
+
+  await backend.removeItem('session')
+  assert.equal(await backend.getItem('session'), null)
+})
+
+test('indexeddb backend falls back to memory when IndexedDB is unavailable', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {})
+  const backend = createIndexedDbBackend()
+
+  assert.equal(backend.name, 'indexeddb')
+  assert.equal(warn.mock.callCount(), 1)
+  await backend.setItem('session', 'value')
+  assert.equal(await backend.getItem('session'), 'value')
+})
+
+test('cookie backend writes encoded values with the configured attributes', async () => {
+  const writes = installCookieJar()
+  const backend = createCookieBackend({ ...DEFAULT_STORAGE_CONFIG.cookie, domain: 'example.com', maxAge: 60 })
+
+  await backend.setItem('auth', 'a b;c')
+
+  assert.equal(writes[0], 'auth=a%20b%3Bc; Path=/; Max-Age=60; SameSite=Strict; Domain=example.com; Secure')
+  assert.equal(await backend.getItem('auth'), 'a b;c')
+  assert.equal(await backend.getItem('missing'), null)
+})
+
+test('cookie backend removes a value by expiring the cookie', async () => {
+  const writes = installCookieJar()
+  const backend = createCookieBackend(DEFAULT_STORAGE_CONFIG.cookie)
+
+  await backend.setItem('auth', 'value')
+  await backend.removeItem('auth')
+
+  assert.match(writes[1], /^auth=; .*Max-Age=0/)
+  assert.equal(await backend.getItem('auth'), null)
+})
+
+test('cookie backend warns when a cookie is over the browser size limit', async (t) => {
+  installCookieJar()
+  const warn = t.mock.method(console, 'warn', () => {})
+  const backend = createCookieBackend(DEFAULT_STORAGE_CONFIG.cookie)
+
+  await backend.setItem('auth', 'x'.repeat(5000))
+
+  assert.equal(warn.mock.callCount(), 1)
+  assert.match(warn.mock.calls[0].arguments[0], /browsers may drop cookies over 4096/)
+})
+
+test('cookie backend is a no-op without a document', async () => {
+  const backend = createCookieBackend(DEFAULT_STORAGE_CONFIG.cookie)
+
+  await backend.setItem('auth', 'value')
+  assert.equal(await backend.getItem('auth'), null)
+})
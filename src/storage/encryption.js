@@ -0,0 +1,95 @@
+import { base64UrlEncode, base64UrlDecode } from '../auth/jwt.js'
+import { KEY_STORE, isIndexedDbAvailable, withObjectStore } from './indexedDb.js'
+
+/**
+ * AES-GCM encryption at rest for any storage backend.
+ *
+ * The 256-bit key is generated with WebCrypto as non-extractable and kept as
+ * a CryptoKey in IndexedDB, so stored values are unreadable to anything that
+ * only sees the backend (devtools, cookie jars, synced profiles) and script
+ * on the page can use the key without being able to export it. Values that
+ * were not written by this wrapper, or can no longer be decrypted, read as null.
+ */
+const KEY_ID = 'storage-aes-gcm'
+const PREFIX = 'enc:v1:'
+const IV_LENGTH = 12
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+let keyPromise = null
+
+async function loadOrCreateKey() {
+  const persist = isIndexedDbAvailable()
+
+  if (persist) {
+    const stored = await withObjectStore(KEY_STORE, 'readonly', store => store.get(KEY_ID))
+    if (stored) return stored
+  } else {
+    console.warn('[AuthStorage] IndexedDB unavailable; encrypted values will not survive a reload')
+  }
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+  if (persist) {
+    await withObjectStore(KEY_STORE, 'readwrite', store => store.put(key, KEY_ID))
+  }
+  return key
+}
+
+function getKey() {
+  if (!keyPromise) {
+    keyPromise = loadOrCreateKey().catch((error) => {
+      keyPromise = null
+      throw error
+    })
+  }
+  return keyPromise
+}
+
+export function isStorageEncryptionSupported() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle
+}
+
+async function encrypt(plaintext) {
+  const key = await getKey()
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, textEncoder.encode(plaintext))
+  return `${PREFIX}${base64UrlEncode(iv)}.${base64UrlEncode(ciphertext)}`
+}
+
+async function decrypt(value) {
+  if (typeof value !== 'string' || !value.startsWith(PREFIX)) return null
+
+  const [iv, ciphertext] = value.slice(PREFIX.length).split('.')
+  if (!iv || !ciphertext) return null
+
+  try {
+    const key = await getKey()
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64UrlDecode(iv) },
+      key,
+      base64UrlDecode(ciphertext)
+    )
+    return textDecoder.decode(plaintext)
+  } catch (error) {
+    // A cleared key store or tampered value; the caller treats it as missing
+    console.warn('[AuthStorage] Failed to decrypt stored value:', error)
+    return null
+  }
+}
+
+export function createEncryptedBackend(backend) {
+  return {
+    name: backend.name,
+    encrypted: true,
+    async getItem(key) {
+      return decrypt(await backend.getItem(key))
+    },
+    async setItem(key, value) {
+      await backend.setItem(key, await encrypt(String(value)))
+    },
+    async removeItem(key) {
+      await backend.removeItem(key)
+    }
+  }
+}
@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMemoryBackend } from './backends.js'
+import { createEncryptedBackend, isStorageEncryptionSupported } from './encryption.js'
+
+// Node has no IndexedDB, so the key lives in memory and the wrapper warns once
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {})
+})
+
+test('WebCrypto is available to the encrypted backend', () => {
+  assert.equal(isStorageEncryptionSupported(), true)
+})
+
+test('values round-trip through the encrypted backend', async () => {
+  const backend = createEncryptedBackend(createMemoryBackend())
+
+  await backend.setItem('session', '{"access_token":"secret-token"}')
+
+  assert.equal(backend.encrypted, true)
+  assert.equal(backend.name, 'memory')
+  assert.equal(await backend.getItem('session'), '{"access_token":"secret-token"}')
+})
+
+test('the underlying backend only sees ciphertext', async () => {
+  const store = new Map()
+  const backend = createEncryptedBackend(createMemoryBackend(store))
+
+  await backend.setItem('session', 'secret-token')
+
+  const raw = store.get('session')
+  assert.match(raw, /^enc:v1:[\w-]+\.[\w-]+$/)
+  assert.ok(!raw.includes('secret-token'))
+})
+
+test('the same value encrypts differently each time', async () => {
+  const store = new Map()
+  const backend = createEncryptedBackend(createMemoryBackend(store))
+
+  await backend.setItem('a', 'secret-token')
+  await backend.setItem('b', 'secret-token')
+
+  assert.notEqual(store.get('a'), store.get('b'))
+})
+
+test('plaintext written outside the wrapper reads as null', async () => {
+  const store = new Map([['session', '{"access_token":"plain"}']])
+  const backend = createEncryptedBackend(createMemoryBackend(store))
+
+  assert.equal(await backend.getItem('session'), null)
+  assert.equal(await backend.getItem('missing'), null)
+})
+
+test('a tampered value reads as null', async () => {
+  const store = new Map()
+  const backend = createEncryptedBackend(createMemoryBackend(store))
+
+  await backend.setItem('session', 'secret-token')
+  const raw = store.get('session')
+  const start = raw.indexOf('.') + 1
+  const flipped = raw[start] === 'A' ? 'B' : 'A'
+  store.set('session', raw.slice(0, start) + flipped + raw.slice(start + 1))
+
+  assert.equal(await backend.getItem('session'), null)
+})
+
+test('removeItem clears the stored ciphertext', async () => {
+  const store = new Map()
+  const backend = createEncryptedBackend(createMemoryBackend(store))
+
+  await backend.setItem('session', 'secret-token')
+  await backend.removeItem('session')
+
+  assert.equal(store.has('session'), false)
+  assert.equal(await backend.getItem('session'), null)
+})
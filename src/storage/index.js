@@ -0,0 +1,135 @@
+import {
+  createMemoryBackend,
+  createWebStorageBackend,
+  createIndexedDbBackend,
+  createCookieBackend,
+  createCustomBackend
+} from './backends.js'
+import { createEncryptedBackend, isStorageEncryptionSupported } from './encryption.js'
+
+/**
+ * Storage for everything that outlives a request: provider session metadata,
+ * local guest sessions, OIDC and Supabase sessions, persisted API keys.
+ *
+ * The backend comes from `storage` in configureAuthClient (see
+ * normalizeStorageConfig in runtimeConfig.js) and is swapped in place, so
+ * providers always call getAuthStorage() rather than holding a reference.
+ *
+ * Short-lived flow state that has to survive a redirect in the same tab
+ * (OAuth transactions, pending codes, link snapshots) uses getFlowStorage()
+ * instead: it is synchronous and always tab-scoped, whatever the backend.
+ */
+export const STORAGE_BACKENDS = ['local', 'session', 'memory', 'indexeddb', 'cookie', 'custom']
+
+export const DEFAULT_STORAGE_CONFIG = {
+  backend: 'local',
+  // True when the app chose the backend; Supabase sessions stay in memory otherwise
+  explicitBackend: false,
+  encrypt: false,
+  cookie: {
+    path: '/',
+    domain: undefined,
+    sameSite: 'Strict',
+    secure: true,
+    maxAge: 60 * 60 * 24 * 30
+  }
+}
+
+let activeStorage = null
+let activeConfig = DEFAULT_STORAGE_CONFIG
+let flowStorage = null
+
+function createBackend(config, adapter) {
+  switch (config.backend) {
+    case 'session':
+      return createWebStorageBackend('session', 'sessionStorage')
+    case 'memory':
+      return createMemoryBackend()
+    case 'indexeddb':
+      return createIndexedDbBackend()
+    case 'cookie':
+      return createCookieBackend({ ...DEFAULT_STORAGE_CONFIG.cookie, ...config.cookie })
+    case 'custom':
+      return createCustomBackend(adapter)
+    case 'local':
+    default:
+      return createWebStorageBackend('local', 'localStorage')
+  }
+}
+
+export function configureAuthStorage(config = DEFAULT_STORAGE_CONFIG, adapter = null) {
+  activeConfig = { ...DEFAULT_STORAGE_CONFIG, ...config }
+  const backend = createBackend(activeConfig, adapter)
+
+  if (activeConfig.encrypt && !isStorageEncryptionSupported()) {
+    throw new Error('configureAuthStorage: storage.encrypt requires WebCrypto, which is unavailable in this environment')
+  }
+
+  activeStorage = activeConfig.encrypt ? createEncryptedBackend(backend) : backend
+
+  return activeStorage
+}
+
+export function resetAuthStorage() {
+  return configureAuthStorage(DEFAULT_STORAGE_CONFIG)
+}
+
+export function getAuthStorage() {
+  return activeStorage || configureAuthStorage(activeConfig)
+}
+
+export function getAuthStorageConfig() {
+  return activeConfig
+}
+
+export async function readStoredJson(key, label = 'AuthStorage') {
+  try {
+    const stored = await getAuthStorage().getItem(key)
+    return stored ? JSON.parse(stored) : null
+  } catch (error) {
+    console.warn(`[${label}] Failed to read ${key}:`, error)
+    await removeStoredItem(key, label)
+    return null
+  }
+}
+
+export async function writeStoredJson(key, value, label = 'AuthStorage') {
+  try {
+    await getAuthStorage().setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.warn(`[${label}] Failed to persist ${key}:`, error)
+  }
+}
+
+export async function removeStoredItem(key, label = 'AuthStorage') {
+  try {
+    await getAuthStorage().removeItem(key)
+  } catch (error) {
+    console.warn(`[${label}] Failed to remove ${key}:`, error)
+  }
+}
+
+function createMemoryFlowStorage() {
+  const store = new Map()
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  }
+}
+
+export function getFlowStorage() {
+  if (flowStorage) return flowStorage
+
+  try {
+    if (typeof window !== 'undefined' && window.sessionStorage) {
+      flowStorage = window.sessionStorage
+      return flowStorage
+    }
+  } catch (error) {
+    console.warn('[AuthStorage] sessionStorage unavailable for flow state:', error)
+  }
+
+  flowStorage = createMemoryFlowStorage()
+  return flowStorage
+}
@@ -0,0 +1,45 @@
+/**
+ * Shared IndexedDB access for the `jskit-auth` database.
+ *
+ * keys - non-extractable CryptoKeys (local guest signing, storage encryption)
+ * kv   - values written by the 'indexeddb' storage backend
+ */
+const DB_NAME = 'jskit-auth'
+const DB_VERSION = 2
+
+export const KEY_STORE = 'keys'
+export const VALUE_STORE = 'kv'
+
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      for (const storeName of [KEY_STORE, VALUE_STORE]) {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName)
+        }
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+export async function withObjectStore(storeName, mode, operation) {
+  const db = await openDatabase()
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode)
+      const request = operation(transaction.objectStore(storeName))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
@@ -3,10 +3,28 @@ import { defineStore } from 'pinia'
 import { authConfig, getTimeout, getErrorMessage, checkRateLimit, circuitBreakers } from '../config/auth.js'
 import axios from 'axios'
 import { getAuthProvider, getAllProviderNames, callAuthProviderMethod } from '../auth/authProviders.js'
+import {
+  captureAnonymousIdentity,
+  savePendingUpgrade,
+  loadPendingUpgrade,
+  clearPendingUpgrade,
+  requestBackendMerge,
+  runAnonymousMigrators,
+  getAnonymousMigratorNames
+} from '../linking/anonymousUpgrade.js'
 
 // Provider modules will self-register when imported
 import '../auth/providers/supabase/provider.js'
 import '../auth/providers/google/provider.js'
+import '../auth/providers/oidc/provider.js'
+import '../auth/providers/passkey/provider.js'
+import '../auth/providers/password/provider.js'
+import '../auth/providers/magicLink/provider.js'
+import '../auth/providers/sso/provider.js'
+import '../auth/providers/phone/provider.js'
+import '../auth/providers/apiKey/provider.js'
+import '../auth/providers/mock/provider.js'
+import '../auth/providers/guest/provider.js'
 import '../auth/providers/local/provider.js'
 
 // Error types for userState operations
@@ -16,6 +34,7 @@ const ERROR_TYPES = {
   PROVIDER_NOT_FOUND: 'provider_not_found',
   ANONYMOUS_NOT_ALLOWED: 'anonymous_not_allowed',
   ANONYMOUS_CONVERSION_FAILED: 'anonymous_conversion_failed',
+  ANONYMOUS_UPGRADE_FAILED: 'anonymous_upgrade_failed',
   SIGNOUT_FAILED: 'signout_failed',
   INITIALIZATION_FAILED: 'initialization_failed',
   RATE_LIMITED: 'rate_limited',
@@ -23,6 +42,19 @@ const ERROR_TYPES = {
   TIMEOUT: 'timeout'
 }
 
+function createUpgradeState() {
+  return {
+    status: 'idle', // idle | merging | migrating | completed | failed
+    fromId: null,
+    toId: null,
+    totalSteps: 0,
+    completedSteps: 0,
+    currentStep: null,
+    error: null,
+    failedMigrators: []
+  }
+}
+
 export const useUserStateStore = defineStore('userState', () => {
   // State
   const normalizedSession = ref(null) // Normalized session from provider
@@ -31,6 +63,10 @@ export const useUserStateStore = defineStore('userState', () => {
   const profileProvider = ref(null)
   const profileProviderId = ref(null)
   const loading = ref(false)
+  // Set when the session must be stepped up to aal2 (provider report or backend 403)
+  const mfaStepUpRequired = ref(false)
+  // Active provider's SDK event subscription: { provider, unsubscribe }
+  let providerEvents = null
 
   // Error state management
   const errorState = reactive({
@@ -42,6 +78,9 @@ export const useUserStateStore = defineStore('userState', () => {
     lastErrorTime: null
   })
 
+  // Guest -> account upgrade progress (backend merge + client migrators)
+  const anonymousUpgrade = reactive(createUpgradeState())
+
   // Session health tracking
   const sessionHealth = reactive({
     lastCheck: null,
@@ -51,12 +90,24 @@ export const useUserStateStore = defineStore('userState', () => {
   })
 
   // Computed
-  const isAuthenticated = computed(() => !!normalizedSession.value)
+  // A session that still owes a TOTP step-up is held but doesn't count as signed in
+  const hasSession = computed(() => !!normalizedSession.value)
+  const isAuthenticated = computed(() => hasSession.value && !mfaStepUpRequired.value)
   const isFullyAuthenticated = computed(() => isAuthenticated.value && !normalizedSession.value?.isAnonymous)
   const token = computed(() => normalizedSession.value?.access_token)
   const user = computed(() => normalizedSession.value?.user)
   const currentProvider = computed(() => normalizedSession.value?.provider)
   const isAnonymous = computed(() => normalizedSession.value?.isAnonymous || false)
+  // Set when the session came through an enterprise (SAML/OIDC) connection
+  const enterpriseConnection = computed(() => normalizedSession.value?.enterprise || null)
+  // Headless providers (apiKey) may own the session lifecycle; UI hides sign-out/linking
+  const currentProviderMetadata = computed(() => getAuthProvider(currentProvider.value)?.getMetadata?.() || null)
+  const canSignOut = computed(() => !currentProviderMetadata.value?.hideSignOut)
+  const canLinkAccounts = computed(() => !currentProviderMetadata.value?.hideLinking)
+  const isUpgrading = computed(() => ['merging', 'migrating'].includes(anonymousUpgrade.status))
+  // Authenticator assurance level of the current token ('aal1' | 'aal2'), when the provider reports one
+  const mfaLevel = computed(() => normalizedSession.value?.aal || null)
+  const requiresMfa = computed(() => hasSession.value && mfaStepUpRequired.value)
 
   // Error handling utilities
   function setError(type, message, details = null) {
@@ -174,12 +225,13 @@ export const useUserStateStore = defineStore('userState', () => {
       clearError()
 
       if (!rawSession) {
+        unbindProviderEvents()
         normalizedSession.value = null
         profile.value = null
         linkedProviders.value = {}
         profileProvider.value = null
         profileProviderId.value = null
-        delete axios.defaults.headers.common['Authorization']
+        mfaStepUpRequired.value = false
         sessionHealth.isHealthy = true
         sessionHealth.failureCount = 0
         return true
@@ -200,7 +252,15 @@ export const useUserStateStore = defineStore('userState', () => {
       }
 
       // Normalize the session
-      normalizedSession.value = authProvider.normalizeSession(rawSession)
+      const previousSession = normalizedSession.value
+      const nextSession = authProvider.normalizeSession(rawSession)
+      if (previousSession?.provider !== provider) {
+        mfaStepUpRequired.value = false
+      }
+      // Read the assurance level first so an aal1 session never counts as signed in
+      await refreshMfaRequirement(provider)
+      normalizedSession.value = nextSession
+      bindProviderEvents(provider)
       console.log('[UserState] Session normalized:', {
         provider,
         hasUser: !!normalizedSession.value?.user,
@@ -215,15 +275,6 @@ export const useUserStateStore = defineStore('userState', () => {
         console.warn('[UserState] Failed to cache session metadata:', metaError)
       }
 
-      // Set axios headers from normalized session
-      if (normalizedSession.value?.access_token) {
-        axios.defaults.headers.common['Authorization'] = `Bearer ${normalizedSession.value.access_token}`
-        axios.defaults.headers.common['X-Auth-Provider'] = provider
-      } else {
-        delete axios.defaults.headers.common['Authorization']
-        delete axios.defaults.headers.common['X-Auth-Provider']
-      }
-
       // Update session health
       sessionHealth.isHealthy = true
       sessionHealth.failureCount = 0
@@ -248,6 +299,18 @@ export const useUserStateStore = defineStore('userState', () => {
         }
       }
 
+      // A guest just signed in for real (token refreshes of the new account don't count).
+      // The guest proof is captured now; the merge runs detached and reports through anonymousUpgrade
+      const isFreshSignIn = !previousSession || previousSession.isAnonymous
+      if (!normalizedSession.value?.isAnonymous && isFreshSignIn && !isUpgrading.value) {
+        const record = await prepareAnonymousUpgrade(previousSession)
+        if (record) {
+          runAnonymousUpgrade(record).catch(error => {
+            console.warn('[UserState] Anonymous upgrade failed:', error)
+          })
+        }
+      }
+
       return true
     } catch (error) {
       setError(
@@ -259,6 +322,221 @@ export const useUserStateStore = defineStore('userState', () => {
     }
   }
 
+  // Providers whose SDK refreshes tokens by itself (Supabase autoRefreshToken)
+  // report it here so the store, axios headers and sessionHealth stay in sync
+  function bindProviderEvents(provider) {
+    if (providerEvents?.provider === provider) return
+    unbindProviderEvents()
+
+    const authProvider = getAuthProvider(provider)
+    if (typeof authProvider?.subscribeToAuthEvents !== 'function') return
+
+    try {
+      const unsubscribe = authProvider.subscribeToAuthEvents(
+        (event, rawSession) => handleProviderAuthEvent(provider, event, rawSession)
+      )
+      providerEvents = { provider, unsubscribe }
+    } catch (error) {
+      console.warn(`[UserState] Failed to subscribe to ${provider} auth events:`, error)
+    }
+  }
+
+  function unbindProviderEvents() {
+    if (!providerEvents) return
+    try {
+      providerEvents.unsubscribe?.()
+    } catch (error) {
+      console.warn('[UserState] Failed to unsubscribe from provider auth events:', error)
+    }
+    providerEvents = null
+  }
+
+  async function handleProviderAuthEvent(provider, event, rawSession) {
+    if (currentProvider.value !== provider) return
+
+    switch (event) {
+      case 'TOKEN_REFRESHED':
+        // The interceptor's 401 path may have stored this token already
+        if (rawSession?.access_token && rawSession.access_token !== token.value) {
+          await setSession(rawSession, provider)
+        }
+        break
+
+      case 'USER_UPDATED':
+        if (rawSession) {
+          await setSession(rawSession, provider)
+        }
+        break
+
+      case 'SIGNED_OUT':
+        // Signed out by the SDK (another tab, revoked refresh token); the provider is already clear
+        await clearPendingUpgrade()
+        Object.assign(anonymousUpgrade, createUpgradeState())
+        await clearProviderUserData()
+        await setSession(null)
+        break
+    }
+  }
+
+  // The next user must not inherit this user's cached grants, whichever provider signed out
+  async function clearProviderUserData({ forgetDevice = false } = {}) {
+    for (const name of getAllProviderNames()) {
+      try {
+        await callAuthProviderMethod(name, 'clearUserData')
+        if (forgetDevice) {
+          await callAuthProviderMethod(name, 'forgetDevice')
+        }
+      } catch (error) {
+        console.warn(`[UserState] ${name} failed to clear data on sign-out:`, error)
+      }
+    }
+  }
+
+  // Providers with MFA report { currentLevel, nextLevel }. A step-up requested
+  // by the backend stays pending until the session actually reaches aal2.
+  async function refreshMfaRequirement(provider = currentProvider.value) {
+    try {
+      const levels = await callAuthProviderMethod(provider, 'getAuthenticatorAssuranceLevel')
+      if (levels) {
+        mfaStepUpRequired.value = levels.currentLevel !== 'aal2' &&
+          (levels.nextLevel === 'aal2' || mfaStepUpRequired.value)
+      }
+    } catch (error) {
+      console.warn('[UserState] Failed to read assurance level:', error)
+    }
+    return mfaStepUpRequired.value
+  }
+
+  // Called by the interceptor when an API answers 403 "MFA required"
+  function requireMfaStepUp() {
+    if (hasSession.value && mfaLevel.value !== 'aal2') {
+      mfaStepUpRequired.value = true
+    }
+    return requiresMfa.value
+  }
+
+  function applyProfilePayload(payload = {}) {
+    const baseProfile = payload.user || payload
+
+    profile.value = baseProfile || null
+    linkedProviders.value = payload.linked_providers || {}
+    profileProvider.value = payload.provider ?? normalizedSession.value?.provider ?? null
+    profileProviderId.value = payload.provider_id ?? normalizedSession.value?.provider_id ?? null
+  }
+
+  // Remember the guest identity before leaving for a (possibly redirecting) sign-in
+  async function beginAnonymousUpgrade() {
+    if (!isAnonymous.value) return null
+
+    const record = await captureAnonymousIdentity(normalizedSession.value)
+    await savePendingUpgrade(record)
+    return record
+  }
+
+  // The guest to merge: the session just replaced, or one saved before a redirect sign-in
+  async function prepareAnonymousUpgrade(previousSession = null) {
+    const captured = previousSession?.isAnonymous
+      ? await captureAnonymousIdentity(previousSession)
+      : null
+    const record = captured || await loadPendingUpgrade()
+    if (record) {
+      await savePendingUpgrade(record)
+    }
+    return record
+  }
+
+  async function runAnonymousUpgrade(record) {
+    const target = normalizedSession.value
+    const toId = target?.provider_id || target?.user?.id || null
+
+    // Same identity (e.g. Supabase convertAnonymousAccount) - nothing to merge
+    if (!target || target.isAnonymous || !toId || record.anonymousId === toId) {
+      await clearPendingUpgrade()
+      return false
+    }
+
+    Object.assign(anonymousUpgrade, {
+      status: 'merging',
+      fromId: record.anonymousId,
+      toId,
+      totalSteps: 1 + getAnonymousMigratorNames().length,
+      completedSteps: 0,
+      currentStep: 'backend',
+      error: null,
+      failedMigrators: []
+    })
+
+    let backendResult
+    try {
+      backendResult = await requestBackendMerge(record, target)
+      anonymousUpgrade.completedSteps++
+    } catch (error) {
+      anonymousUpgrade.status = 'failed'
+      anonymousUpgrade.currentStep = null
+      anonymousUpgrade.error = getErrorMessage(
+        'ANONYMOUS_UPGRADE_FAILED',
+        'Your account is ready, but your guest data could not be moved.'
+      )
+      setError(ERROR_TYPES.ANONYMOUS_UPGRADE_FAILED, anonymousUpgrade.error, {
+        step: 'backend',
+        error: error.message,
+        status: error.response?.status
+      })
+      return false
+    }
+
+    anonymousUpgrade.status = 'migrating'
+
+    const failures = await runAnonymousMigrators({
+      fromId: record.anonymousId,
+      toId,
+      fromProvider: record.provider,
+      toProvider: target.provider,
+      backendResult
+    }, ({ name, status }) => {
+      anonymousUpgrade.currentStep = name
+      if (status !== 'running') {
+        anonymousUpgrade.completedSteps++
+      }
+    })
+
+    anonymousUpgrade.currentStep = null
+
+    if (failures.length) {
+      anonymousUpgrade.status = 'failed'
+      anonymousUpgrade.failedMigrators = failures
+      anonymousUpgrade.error = getErrorMessage(
+        'ANONYMOUS_UPGRADE_FAILED',
+        'Your account is ready, but some guest data could not be moved.'
+      )
+      setError(ERROR_TYPES.ANONYMOUS_UPGRADE_FAILED, anonymousUpgrade.error, {
+        step: 'migrators',
+        failures
+      })
+      return false
+    }
+
+    anonymousUpgrade.status = 'completed'
+    await clearPendingUpgrade()
+
+    // Forget the guest locally so it isn't restored after the user signs out
+    if (record.provider !== target.provider) {
+      try {
+        await callAuthProviderMethod(record.provider, 'discardSession')
+      } catch (error) {
+        console.warn('[UserState] Failed to discard guest session:', error)
+      }
+    }
+
+    return true
+  }
+
+  async function retryAnonymousUpgrade() {
+    const record = await loadPendingUpgrade()
+    if (!record || isUpgrading.value) return false
+    return runAnonymousUpgrade(record)
+  }
+
   // Fetch user profile with retry and error handling
   async function fetchProfile() {
     if (!token.value || isAnonymous.value) {
@@ -266,6 +544,16 @@ export const useUserStateStore = defineStore('userState', () => {
       return false
     }
 
+    // Providers without a backend (mock) serve the profile themselves
+    const localProfile = await callAuthProviderMethod(currentProvider.value, 'getProfile', normalizedSession.value)
+    if (localProfile) {
+      applyProfilePayload(localProfile)
+      clearError()
+      sessionHealth.isHealthy = true
+      sessionHealth.failureCount = 0
+      return true
+    }
+
     // Check rate limiting
     if (!checkRateLimit('profile')) {
       setError(
@@ -282,8 +570,13 @@ export const useUserStateStore = defineStore('userState', () => {
 
       const response = await withRetry(
         async () => {
+          // Same-origin, so the token is sent even without setupAuthInterceptor
           return await axios.get('/api/auth/me', {
             timeout: getTimeout('profileFetch'),
+            headers: {
+              Authorization: `Bearer ${token.value}`,
+              'X-Auth-Provider': currentProvider.value || 'none'
+            },
             _skipRetry: true // Let withRetry handle retries
           })
         },
@@ -293,13 +586,7 @@ export const useUserStateStore = defineStore('userState', () => {
       // API now returns auth metadata with nested user
       console.log('[UserState] fetchProfile response:', response.data)
 
-      const payload = response.data || {}
-      const baseProfile = payload.user || payload
-
-      profile.value = baseProfile || null
-      linkedProviders.value = payload.linked_providers || {}
-      profileProvider.value = payload.provider ?? normalizedSession.value?.provider ?? null
-      profileProviderId.value = payload.provider_id ?? normalizedSession.value?.provider_id ?? null
+      applyProfilePayload(response.data || {})
 
       console.log('[UserState] profile.value set to:', profile.value)
       console.log('[UserState] linkedProviders set to:', linkedProviders.value)
@@ -349,6 +636,11 @@ export const useUserStateStore = defineStore('userState', () => {
     }
   }
 
+  function getAnonymousProviderOrder() {
+    const order = [authConfig.anonymousProvider, ...(authConfig.anonymousFallbackProviders || [])]
+    return Array.from(new Set(order.filter(Boolean)))
+  }
+
   // Start anonymous session with error handling
   async function startAnonymousSession() {
     if (!authConfig.allowAnonymous) {
@@ -363,11 +655,14 @@ export const useUserStateStore = defineStore('userState', () => {
     clearError()
 
     try {
-      // Try to find a provider that supports anonymous sessions
-      const providerNames = getAllProviderNames()
+      // anonymousProvider first, then the explicit fallbacks - never "whatever is registered"
+      const providerNames = getAnonymousProviderOrder()
 
       for (const providerName of providerNames) {
         const provider = getAuthProvider(providerName)
+        if (!provider?.startAnonymousSession && authConfig.errorHandling.enableDetailedLogging) {
+          console.log(`[UserState] Provider ${providerName} cannot start anonymous sessions`)
+        }
         if (provider?.startAnonymousSession) {
           try {
             const anonSession = await withRetry(
@@ -393,9 +688,10 @@ export const useUserStateStore = defineStore('userState', () => {
 
       setError(
         ERROR_TYPES.ANONYMOUS_NOT_ALLOWED,
-        getErrorMessage('ANONYMOUS_NOT_ALLOWED', 'No provider supports anonymous sessions')
+        getErrorMessage('ANONYMOUS_NOT_ALLOWED', 'No provider supports anonymous sessions'),
+        { tried: providerNames }
       )
-      throw new Error('No provider supports anonymous sessions')
+      throw new Error(`No anonymous provider could start a session (tried: ${providerNames.join(', ') || 'none'})`)
     } finally {
       loading.value = false
     }
@@ -461,17 +757,21 @@ export const useUserStateStore = defineStore('userState', () => {
   }
 
   // Sign out with error handling
-  async function signOut() {
+  // forgetDevice: revoke where the provider supports it and drop every provider's
+  // remembered state on this device (meant for shared computers)
+  async function signOut({ forgetDevice = false } = {}) {
     loading.value = true
     clearError()
 
     try {
       const provider = normalizedSession.value?.provider
+      // Our own sign-out must not come back as a provider SIGNED_OUT event
+      unbindProviderEvents()
 
       if (provider) {
         try {
           await withRetry(
-            async () => callAuthProviderMethod(provider, 'signOut'),
+            async () => callAuthProviderMethod(provider, 'signOut', { revoke: forgetDevice }),
             'auth',
             1 // Only one retry for signout
           )
@@ -481,14 +781,15 @@ export const useUserStateStore = defineStore('userState', () => {
         }
       }
 
+      await clearProviderUserData({ forgetDevice })
+
       // Clear local state regardless of provider signout result
       normalizedSession.value = null
       profile.value = null
       linkedProviders.value = {}
       profileProvider.value = null
       profileProviderId.value = null
-      delete axios.defaults.headers.common['Authorization']
-      delete axios.defaults.headers.common['X-Auth-Provider']
+      mfaStepUpRequired.value = false
 
       // Reset session health
       sessionHealth.isHealthy = true
@@ -499,6 +800,10 @@ export const useUserStateStore = defineStore('userState', () => {
       // Reset circuit breakers
       Object.values(circuitBreakers).forEach(cb => cb.reset())
 
+      // A pending guest upgrade must not be applied to whoever signs in next
+      await clearPendingUpgrade()
+      Object.assign(anonymousUpgrade, createUpgradeState())
+
       return true
     } catch (error) {
       setError(
@@ -518,6 +823,28 @@ export const useUserStateStore = defineStore('userState', () => {
     }
   }
 
+  // API access tokens from the provider (e.g. Google Drive scopes); null if unsupported
+  async function getProviderAccessToken(providerName, scopes, options = {}) {
+    if (!isAuthenticated.value || isAnonymous.value) {
+      throw new Error(getErrorMessage('SESSION_EXPIRED'))
+    }
+    return callAuthProviderMethod(providerName, 'getProviderAccessToken', scopes, {
+      loginHint: user.value?.email || null,
+      ...options
+    })
+  }
+
+  // Passive prompts (Google One Tap) must never hold up initialization
+  function offerAutomaticSignIn(providerNames) {
+    for (const providerName of providerNames) {
+      callAuthProviderMethod(providerName, 'promptAutomaticSignIn', useUserStateStore()).catch((error) => {
+        if (authConfig.errorHandling.enableDetailedLogging) {
+          console.log(`[UserState] ${providerName} automatic sign-in prompt failed:`, error.message)
+        }
+      })
+    }
+  }
+
   // Initialize auth state with comprehensive error recovery
   async function initialize() {
     loading.value = true
@@ -570,6 +897,10 @@ export const useUserStateStore = defineStore('userState', () => {
           }
         }
       }
+
+      if (!normalizedSession.value) {
+        offerAutomaticSignIn(providerNames)
+      }
     } catch (error) {
       setError(
         ERROR_TYPES.INITIALIZATION_FAILED,
@@ -583,12 +914,13 @@ export const useUserStateStore = defineStore('userState', () => {
 
   // Session health check
   async function checkSessionHealth() {
-    if (!isAuthenticated.value) return true
+    if (!hasSession.value) return true
 
     const now = Date.now()
 
-    // Check if session needs refresh
-    if (sessionHealth.nextRefreshTime && now >= sessionHealth.nextRefreshTime) {
+    // Check if session needs refresh (providers bridged to the store refresh themselves)
+    const refreshesItself = providerEvents?.provider === normalizedSession.value?.provider
+    if (!refreshesItself && sessionHealth.nextRefreshTime && now >= sessionHealth.nextRefreshTime) {
       try {
         const provider = normalizedSession.value?.provider
         if (provider) {
@@ -640,20 +972,34 @@ export const useUserStateStore = defineStore('userState', () => {
     linkedProviders,
     profileProvider,
     profileProviderId,
+    anonymousUpgrade,
 
     // Computed
+    hasSession,
     isAuthenticated,
     isFullyAuthenticated,
     token,
     user,
     currentProvider,
     isAnonymous,
+    enterpriseConnection,
+    currentProviderMetadata,
+    canSignOut,
+    canLinkAccounts,
+    isUpgrading,
+    mfaLevel,
+    requiresMfa,
 
     // Actions
     setSession,
     fetchProfile,
     startAnonymousSession,
     convertAnonymousAccount,
+    beginAnonymousUpgrade,
+    retryAnonymousUpgrade,
+    refreshMfaRequirement,
+    requireMfaStepUp,
+    getProviderAccessToken,
     signOut,
     initialize,
     checkSessionHealth,